@@ -9,7 +9,41 @@
  * @see https://gabrielejandres.github.io/computer-graphics-2022.2/3.Hierarchy/Hierarchy.html
  */
 
-"use strict";
+import { Camera, flyKeys } from "./utils/camera.js";
+import { createProgram, initShaders } from "./utils/cuon-utils.js";
+import { Gait } from "./utils/gait.js";
+import { axisColors, makeAxes, makeGrid, makeLines } from "./utils/gizmos.js";
+import { exportGLTF, gltfToBinary, gltfToText } from "./utils/gltf.js";
+import {
+  jointFrame,
+  nodePosition,
+  solveCCD,
+  solveTwoBone,
+} from "./utils/ik.js";
+import { InstanceBatch, uniformLocation } from "./utils/instancing.js";
+import { Joint } from "./utils/joint.js";
+import { Light, lightTypes, maxLights } from "./utils/light.js";
+import { Material, colorToHex, hexToColor } from "./utils/material.js";
+import {
+  Matrix4,
+  Vector4,
+  transformDirection,
+  transformPoint,
+} from "./utils/math.js";
+import { parseMTL, parseOBJ } from "./utils/obj.js";
+import { pickNode } from "./utils/picking.js";
+import { PoseLibrary, mirrorPose } from "./utils/poses.js";
+import {
+  makeCapsule,
+  makeCone,
+  makeCylinder,
+  makePlane,
+  makeSphere,
+  makeTorus,
+} from "./utils/primitives.js";
+import { SimpleRotator } from "./utils/simple-rotator.js";
+import { Skin } from "./utils/skin.js";
+import { Timeline } from "./utils/timeline.js";
 
 /**
  * A very basic stack class,
@@ -73,6 +107,162 @@ class Stack {
   }
 }
 
+/**
+ * <p>A node of the scene graph.</p>
+ * Each node owns a joint matrix, placing it relative to its parent,
+ * and a shape matrix, which only affects the mesh drawn for this node
+ * and is not inherited by its children.
+ *
+ * <p>The joint matrix is derived from an offset to the parent and,
+ * when the node is articulated, the rotation of its {@link Joint}.</p>
+ * @class
+ */
+class SceneNode {
+  /**
+   * Constructor.
+   * @constructs SceneNode
+   * @param {String} name node name.
+   * @param {Object} [description] node geometry.
+   * @param {Array<Number>} [description.offset=[0,0,0]] translation relative to the parent node.
+   * @param {String} [description.type] joint type, "hinge" or "ball".
+   * @param {Array<Number>} [description.pivot] rotation center, relative to the node.
+   * @param {Array<Number>} [description.axis] rotation axis of a hinge.
+   * @param {Number | Array<Number>} [description.min] minimum joint angles in degrees.
+   * @param {Number | Array<Number>} [description.max] maximum joint angles in degrees.
+   * @param {Array<Number>} [description.scale=[1,1,1]] size of the box drawn for this node.
+   * @param {String} [description.shape="cube"] mesh drawn in the box, a key of {@link meshes}.
+   * @param {Object} [description.material] parameters of the box {@link Material}.
+   * @param {Array<Number>} [description.color] RGBA diffuse color, a shorthand for
+   *    a material with default specular and emissive colors.
+   * @param {Array<SceneNode>} [children=[]] child nodes.
+   */
+  constructor(
+    name,
+    {
+      offset = [0, 0, 0],
+      type,
+      pivot,
+      axis,
+      min,
+      max,
+      scale = [1, 1, 1],
+      shape = "cube",
+      material,
+      color,
+    } = {},
+    children = []
+  ) {
+    /** Node name. */
+    this.name = name;
+    /** Translation relative to the parent node. */
+    this.offset = offset;
+    /** Joint rotating this node, or null for a fixed node without type or axis. */
+    this.joint =
+      type || axis ? new Joint({ type, pivot, axis, min, max }) : null;
+    /** Size of the box drawn for this node. */
+    this.scale = scale;
+    if (!(shape in meshes)) throw new Error(`unknown shape "${shape}"`);
+    /** Mesh drawn in the box. */
+    this.shape = shape;
+    /** Surface material of the box. */
+    this.material = new Material(material || (color && { diffuse: color }));
+    /** Child nodes. */
+    this.children = children;
+    /** Parent node, or null for the root. */
+    this.parent = null;
+    children.forEach((child) => (child.parent = this));
+    /** Joint transformation, relative to the parent node. */
+    this.matrix = new Matrix4();
+    /** Shape transformation, not inherited by the children. */
+    this.localMatrix = new Matrix4().setScale(...scale);
+    this.updateMatrix();
+  }
+
+  /**
+   * Recomputes the joint matrix from the offset and the joint rotation.
+   * Must be called after the joint angle changes.
+   */
+  updateMatrix() {
+    this.matrix.setTranslate(...this.offset);
+    if (this.joint) this.joint.applyTo(this.matrix);
+  }
+
+  /**
+   * Returns the transformation from this node to the root coordinates,
+   * that is, the product of the joint matrices from the root down to this node.
+   * @return {Matrix4} a new matrix.
+   */
+  worldMatrix() {
+    var m = this.parent ? this.parent.worldMatrix() : new Matrix4();
+    return m.multiply(this.matrix);
+  }
+
+  /**
+   * Returns the first node in this subtree with the given name.
+   * @param {String} name node name.
+   * @return {SceneNode | null} node found, or null.
+   */
+  find(name) {
+    if (this.name === name) return this;
+    for (var child of this.children) {
+      var node = child.find(name);
+      if (node) return node;
+    }
+    return null;
+  }
+
+  /**
+   * Returns the description of this subtree,
+   * in the format accepted by {@link SceneNode.fromJSON}.
+   * <p>Called by JSON.stringify.</p>
+   * @return {Object} plain object describing the subtree.
+   */
+  toJSON() {
+    var json = {
+      name: this.name,
+      offset: this.offset,
+      ...(this.joint && this.joint.toJSON()),
+      scale: this.scale,
+      material: this.material,
+    };
+    if (this.shape !== "cube") json.shape = this.shape;
+    if (this.children.length > 0) json.children = this.children;
+    return json;
+  }
+
+  /**
+   * Builds a subtree from its description.
+   * @param {Object} json plain object, as returned by {@link SceneNode#toJSON}.
+   * @return {SceneNode} root of the new subtree.
+   * @throws {Error} if a node has no name or a malformed vector.
+   */
+  static fromJSON(json) {
+    if (typeof json.name !== "string") {
+      throw new Error("node without a name");
+    }
+    var sizes = { offset: 3, pivot: 3, axis: 3, scale: 3 };
+    for (var key in sizes) {
+      var v = json[key];
+      if (
+        v !== undefined &&
+        !(
+          Array.isArray(v) &&
+          v.length === sizes[key] &&
+          v.every((x) => typeof x === "number")
+        )
+      ) {
+        throw new Error(`node "${json.name}": invalid ${key}`);
+      }
+    }
+    var children = (json.children || []).map((c) => SceneNode.fromJSON(c));
+    try {
+      return new SceneNode(json.name, json, children);
+    } catch (e) {
+      throw new Error(`node "${json.name}": ${e.message}`);
+    }
+  }
+}
+
 /**
  * A simpleRotator object to enable rotation by mouse dragging.
  * Provides the view transform that is applied to both skybox and teapot.
@@ -81,14 +271,20 @@ class Stack {
  var rotator;
 
 /**
- * <p>Creates data for vertices, colors, and normal vectors for
- * a unit cube. </p>
+ * Camera with its navigation modes, which uses the rotator in trackball mode.
+ * @type {Camera}
+ */
+var camera;
+
+/**
+ * <p>Creates data for vertices, colors, normal vectors and texture coordinates
+ * for a unit cube. </p>
  *
- * Return value is an object with three attributes:
- * vertices, colors, and normals, each referring to a Float32Array.<br>
+ * Return value is an object with four attributes:
+ * vertices, colors, normals and texCoords, each referring to a Float32Array.<br>
  * (Note this is a "self-invoking" anonymous function.)
- * @return {Object<{numVertices: Number, vertices: Float32Array, colors: Float32Array, normals: Float32Array}>}
- * vertex array with associated color and normal arrays.
+ * @return {Object<{numVertices: Number, vertices: Float32Array, colors: Float32Array, normals: Float32Array, texCoords: Float32Array}>}
+ * vertex array with associated color, normal and texture coordinate arrays.
  * @function
  * @global
  */
@@ -136,9 +332,16 @@ var cube = (function makeCube() {
        4, 5, 1, 4, 1, 0   // -y face
      ]);
 
+  // corners of each face, in the order of the indices
+  // prettier-ignore
+  var rawTexCoords = new Float32Array([
+       0, 0, 1, 0, 1, 1, 0, 0, 1, 1, 0, 1
+     ]);
+
   var verticesArray = [];
   var colorsArray = [];
   var normalsArray = [];
+  var texCoordsArray = [];
   for (var i = 0; i < 36; ++i) {
     // for each of the 36 vertices...
     var face = Math.floor(i / 6);
@@ -158,6 +361,11 @@ var cube = (function makeCube() {
     for (var j = 0; j < 3; ++j) {
       normalsArray.push(rawNormals[3 * face + j]);
     }
+
+    // (s, t): two numbers for each point
+    for (var j = 0; j < 2; ++j) {
+      texCoordsArray.push(rawTexCoords[2 * (i % 6) + j]);
+    }
   }
 
   return {
@@ -165,28 +373,23 @@ var cube = (function makeCube() {
     vertices: new Float32Array(verticesArray),
     colors: new Float32Array(colorsArray),
     normals: new Float32Array(normalsArray),
+    texCoords: new Float32Array(texCoordsArray),
   };
 })();
 
 /**
- * Return a matrix to transform normals, so they stay
- * perpendicular to surfaces after a linear transformation.
- * @param {Matrix4} model model matrix.
- * @param {Matrix4} view view matrix.
- * @returns {Float32Array} modelview transposed inverse.
+ * Meshes that nodes can be drawn with, by name.
+ * @type {Object<String, Object<{numVertices: Number, vertices: Float32Array, colors: Float32Array, normals: Float32Array, texCoords: Float32Array}>>}
  */
-function makeNormalMatrixElements(model, view) {
-  var n = new Matrix4(view).multiply(model);
-  n.transpose();
-  n.invert();
-  n = n.elements;
-  // prettier-ignore
-  return new Float32Array([
-       n[0], n[1], n[2],
-       n[4], n[5], n[6],
-       n[8], n[9], n[10]
-     ]);
-}
+var meshes = {
+  cube,
+  sphere: makeSphere(),
+  cylinder: makeCylinder(),
+  cone: makeCone(),
+  capsule: makeCapsule(),
+  torus: makeTorus(),
+  plane: makePlane(),
+};
 
 // A few global variables...
 
@@ -197,94 +400,345 @@ function makeNormalMatrixElements(model, view) {
 var gl;
 
 /**
- * Handle to a buffer on the GPU.
- * @type {WebGLBuffer}
+ * <p>Handles to the buffers on the GPU of each of the {@link meshes}.</p>
+ * Imported meshes also have an index buffer, with its length and type.
+ * @type {Object<String, {vertices: WebGLBuffer, normals: WebGLBuffer, colors: WebGLBuffer, numVertices: Number, indices: ?WebGLBuffer, numIndices: Number, indexType: GLenum}>}
+ */
+var meshBuffers = {};
+
+/**
+ * Handle to the compiled shader program on the GPU.
+ * @type {WebGLProgram}
  */
-var vertexBuffer;
+var lightingShader;
 
 /**
- * Handle to a buffer on the GPU.
- * @type {WebGLBuffer}
+ * Whether meshes are drawn with their vertex colors, such as the face colors
+ * of the {@link cube}, instead of the diffuse color of the materials.
+ * @type {Boolean}
  */
-var vertexNormalBuffer;
+var faceColors = false;
 
 /**
- * Handle to the compiled shader program on the GPU.
+ * <p>Instances of the rigid parts of every robot, collected once per frame
+ * by {@link collectInstances}, by batch key.</p>
+ * Parts with the same shape and the same material, apart from the diffuse
+ * color, which is given per instance, share a batch and are drawn with
+ * a single call, whichever robot they belong to.
+ * @type {Map<String, {batch: InstanceBatch, material: Material}>}
+ */
+var partBatches = new Map();
+
+/**
+ * Instances of the parts flattened onto the ground, for planar shadows.
+ * @type {Map<String, {batch: InstanceBatch, material: Material}>}
+ */
+var shadowBatches = new Map();
+
+/**
+ * Batches of a single instance for the rest of the scene, by shape.
+ * @type {Map<String, {batch: InstanceBatch, material: Material}>}
+ */
+var meshBatches = new Map();
+
+/**
+ * Skinned robots of the frame: the model matrix and bone matrices of each.
+ * @type {Array<{matrix: Matrix4, bones: Float32Array}>}
+ */
+var skinInstances = [];
+
+/**
+ * <p>Counters of the frame-time readout.</p>
+ * Draw calls and instances are those of the last frame, and times are
+ * summed over the frames since the readout was last shown.
+ * @type {{frames: Number, frameTime: Number, drawTime: Number, drawCalls: Number, instances: Number, since: Number}}
+ */
+var frameStats = {
+  frames: 0,
+  frameTime: 0,
+  drawTime: 0,
+  drawCalls: 0,
+  instances: 0,
+  since: 0,
+};
+
+/**
+ * <p>Smooth skinning of the robot.</p>
+ * When enabled, the robot is drawn as a single {@link Skin} deformed by its
+ * joints, instead of one rigid shape per part. The skin, its buffers and
+ * its batch are built when first drawn, and must be reset whenever the model,
+ * the shapes or the materials change.
+ * @type {{enabled: Boolean, skin: ?Skin, buffers: ?Object, batch: ?InstanceBatch}}
+ */
+var skinning = { enabled: false, skin: null, buffers: null, batch: null };
+
+/**
+ * Light sources, in world coordinates: a white key light where the single
+ * light used to be, a dim bluish fill light, and a spot light that starts off.
+ * @type {Array<Light>}
+ */
+var lights = [
+  new Light({ position: [2, 8, 10] }),
+  new Light({
+    type: "directional",
+    position: [-10, 4, -6],
+    color: [0.2, 0.25, 0.35],
+  }),
+  new Light({
+    type: "spot",
+    position: [0, 14, 4],
+    target: [0, 0, 0],
+    color: [1, 0.9, 0.6],
+    attenuation: [1, 0.02, 0],
+    enabled: false,
+  }),
+];
+
+/**
+ * <p>Shading parameters.</p>
+ * The model is either "phong", with the reflected light vector,
+ * or "blinn", with the halfway vector.
+ * @type {{model: String, ambient: Number, markers: Boolean}}
+ */
+var shading = { model: "blinn", ambient: 0.3, markers: true };
+
+/**
+ * <p>Shadow parameters.</p>
+ * The mode is "none", "planar", for shadows projected onto the ground with
+ * {@link Matrix4#dropShadow}, or "map", for a depth map rendered from the light,
+ * which also lets parts of the robot shadow each other.
+ * Only the first light that is on casts shadows.
+ * @type {{mode: String, ground: Boolean}}
+ */
+var shadows = { mode: "planar", ground: true };
+
+/**
+ * Height of the ground, just below the feet of the model at rest.
+ * @type {Number}
+ */
+var groundLevel = 0;
+
+/**
+ * Shadow map resources: a depth texture, the framebuffer that renders into it,
+ * and the shader program of that pass.
+ * @type {{size: Number, texture: WebGLTexture, framebuffer: WebGLFramebuffer, shader: WebGLProgram}}
+ */
+var shadowMap = { size: 2048, texture: null, framebuffer: null, shader: null };
+
+/**
+ * Visibility of the helpers: ground grid, world axes at the origin,
+ * and the local axes at the pivot of each joint.
+ * @type {{grid: Boolean, worldAxes: Boolean, jointAxes: Boolean}}
+ */
+var helpers = { grid: true, worldAxes: true, jointAxes: false };
+
+/**
+ * Handle to the compiled shader program of lines on the GPU.
  * @type {WebGLProgram}
  */
-var lightingShader;
+var lineShader;
 
 /**
- * Transformation matrix that is the root of 5 objects in the scene.
- * @type {Matrix4}
+ * Buffers on the GPU with the lines of the grid, the world axes and the
+ * joint axes, the latter being updated every frame.
+ * @type {Object<String, {vertices: WebGLBuffer, colors: WebGLBuffer, numVertices: Number}>}
+ */
+var lineBuffers = {};
+
+/**
+ * Glossy black material of the eyes, eyebrows and mouth.
+ * @type {Object}
+ */
+var black = { diffuse: [0, 0, 0, 1], specular: [0.8, 0.8, 0.8], shininess: 60 };
+
+/**
+ * <p>Description of the default robot.</p>
+ * This is the same format read by {@link loadModel} and written by
+ * {@link exportModel}: a name, a tree of nodes, each with an offset
+ * relative to its parent, an optional joint (hinge or ball, pivot point,
+ * rotation axis and angle limits), the size of its box and its material,
+ * and the key bindings.
+ *
+ * <p>Each binding rotates the listed joints by step degrees
+ * when its key is pressed, and by -step with the key in uppercase.
+ * For ball joints, it also names the axis ("x", "y" or "z") to rotate about.</p>
+ *
+ * <p>Each chain lists the joints, from the base to the tip, that inverse
+ * kinematics moves to place the effector node at a target.</p>
+ * @type {Object}
+ */
+// prettier-ignore
+var robotModel = {
+  name: "robot",
+  root: {
+    name: "torso", axis: [0, 1, 0], min: -180, max: 180, scale: [10, 10.5, 5],
+    children: [
+      {
+        name: "rightLeg", offset: [2, -6.5, 0], type: "ball", pivot: [0, 1, 0],
+        min: [-120, -45, -10], max: [30, 45, 45], scale: [2, 3.5, 2],
+        children: [
+          {
+            name: "rightLowerLeg", offset: [0, -3.5, 0], pivot: [0, 1, 0], axis: [1, 0, 0], min: 0, max: 150, scale: [2, 4, 2],
+            children: [{ name: "rightFoot", offset: [0, -2, 0], scale: [2, 1, 4] }],
+          },
+        ],
+      },
+      {
+        name: "leftLeg", offset: [-2, -6.5, 0], type: "ball", pivot: [0, 1, 0],
+        min: [-120, -45, -45], max: [30, 45, 10], scale: [2, 3.5, 2],
+        children: [
+          {
+            name: "leftLowerLeg", offset: [0, -3.5, 0], pivot: [0, 1, 0], axis: [1, 0, 0], min: 0, max: 150, scale: [2, 4, 2],
+            children: [{ name: "leftFoot", offset: [0, -2, 0], scale: [2, 1, 4] }],
+          },
+        ],
+      },
+      {
+        name: "rightShoulder", offset: [6.5, 2, 0], type: "ball", pivot: [0, 2, 0],
+        min: [-180, -90, -10], max: [60, 90, 180], scale: [3, 5, 2],
+        children: [
+          {
+            name: "rightArm", offset: [0, -5, 0], pivot: [0, 2.5, 0], axis: [-1, 0, 0], min: 0, max: 150, scale: [3, 5, 2],
+            children: [{ name: "rightHand", offset: [0, -4, 0], axis: [0, 1, 0], min: -90, max: 90, scale: [1, 3, 3] }],
+          },
+        ],
+      },
+      {
+        name: "leftShoulder", offset: [-6.5, 2, 0], type: "ball", pivot: [0, 2, 0],
+        min: [-180, -90, -180], max: [60, 90, 10], scale: [3, 5, 2],
+        children: [
+          {
+            name: "leftArm", offset: [0, -5, 0], pivot: [0, 2.5, 0], axis: [-1, 0, 0], min: 0, max: 150, scale: [3, 5, 2],
+            children: [{ name: "leftHand", offset: [0, -4, 0], axis: [0, 1, 0], min: -90, max: 90, scale: [1, 3, 3] }],
+          },
+        ],
+      },
+      {
+        name: "head", offset: [0, 7, 0], type: "ball", min: [-30, -80, -20], max: [30, 80, 20], scale: [5, 3.5, 4],
+        children: [
+          { name: "rightEye", offset: [1, 0.8, 2], scale: [0.7, 0.7, -0.25], material: black },
+          { name: "leftEye", offset: [-1, 0.8, 2], scale: [0.7, 0.7, -0.25], material: black },
+          { name: "rightEyebrow", offset: [1, 1.5, 2], scale: [1, 0.1, -0.25], material: black },
+          { name: "leftEyebrow", offset: [-1, 1.5, 2], scale: [1, 0.1, -0.25], material: black },
+          { name: "mouth", offset: [0, -0.75, 2], scale: [2.5, 0.5, -0.25], material: black },
+        ],
+      },
+    ],
+  },
+  bindings: [
+    { key: "l", joints: ["head"], axis: "y", step: 15, label: "Head rotation" },
+    { key: "t", joints: ["torso"], step: 15, label: "Torso rotation" },
+    { key: "s", joints: ["rightShoulder", "leftShoulder"], axis: "x", step: -15, label: "Both shoulders rotation" },
+    { key: "r", joints: ["rightShoulder"], axis: "x", step: -15, label: "Right shoulder rotation" },
+    { key: "o", joints: ["leftShoulder"], axis: "x", step: -15, label: "Left shoulder rotation" },
+    { key: "a", joints: ["rightArm", "leftArm"], step: 15, label: "Both arms rotation" },
+    { key: "m", joints: ["rightArm"], step: 15, label: "Right arm rotation" },
+    { key: "n", joints: ["leftArm"], step: 15, label: "Left arm rotation" },
+    { key: "h", joints: ["rightHand", "leftHand"], step: 15, label: "Both hands rotation" },
+    { key: "g", joints: ["rightHand"], step: 15, label: "Right hand rotation" },
+    { key: "i", joints: ["leftHand"], step: 15, label: "Left hand rotation" },
+    { key: "e", joints: ["rightLeg", "leftLeg"], axis: "x", step: -15, label: "Both legs rotation" },
+    { key: "j", joints: ["rightLeg"], axis: "x", step: -15, label: "Right leg rotation" },
+    { key: "k", joints: ["leftLeg"], axis: "x", step: -15, label: "Left leg rotation" },
+    { key: "w", joints: ["rightLowerLeg", "leftLowerLeg"], step: 15, label: "Both lower legs rotation" },
+    { key: "p", joints: ["rightLowerLeg"], step: 15, label: "Right lower leg rotation" },
+    { key: "q", joints: ["leftLowerLeg"], step: 15, label: "Left lower leg rotation" },
+  ],
+  chains: [
+    { name: "Right arm", joints: ["rightShoulder", "rightArm"], effector: "rightHand" },
+    { name: "Left arm", joints: ["leftShoulder", "leftArm"], effector: "leftHand" },
+    { name: "Right leg", joints: ["rightLeg", "rightLowerLeg"], effector: "rightFoot" },
+    { name: "Left leg", joints: ["leftLeg", "leftLowerLeg"], effector: "leftFoot" },
+  ],
+};
+
+/**
+ * Name of the model being displayed.
+ * @type {String}
+ */
+var modelName;
+
+/**
+ * Root of the robot hierarchy.
+ * @type {SceneNode}
+ */
+var robot;
+
+/**
+ * Key bindings of the model being displayed.
+ * @type {Array<{key: String, joints: Array<String>, axis: String, step: Number, label: String}>}
+ */
+var keyBindings;
+
+/**
+ * Inverse kinematics chains of the model being displayed.
+ * @type {Array<{name: String, joints: Array<String>, effector: String}>}
+ */
+var ikChains;
+
+/**
+ * Degree of freedom of a ball joint for each axis name.
+ * @type {Object<String, Number>}
+ */
+var axisIndex = { x: 0, y: 1, z: 2 };
+
+/**
+ * <p>Replaces the displayed model.</p>
+ * The current model is kept if the description is invalid.
+ * @param {Object} model model description, as in {@link robotModel}.
+ * @return {Boolean} whether the model was loaded.
  */
-var torsoMatrix = new Matrix4().setTranslate(0, 0, 0);
-/**  @type {Matrix4} */
-var rightShoulderMatrix = new Matrix4().setTranslate(6.5, 2, 0);
-/**  @type {Matrix4} */
-var leftShoulderMatrix = new Matrix4().setTranslate(-6.5, 2, 0);
-/**  @type {Matrix4} */
-var rightArmMatrix = new Matrix4().setTranslate(0, -5, 0);
-/**  @type {Matrix4} */
-var leftArmMatrix = new Matrix4().setTranslate(0, -5, 0);
-/**  @type {Matrix4} */
-var rightHandMatrix = new Matrix4().setTranslate(0, -4, 0);
-/**  @type {Matrix4} */
-var leftHandMatrix = new Matrix4().setTranslate(0, -4, 0);
-/**  @type {Matrix4} */
-var headMatrix = new Matrix4().setTranslate(0, 7, 0);
-/**  @type {Matrix4} */
-var rightLegMatrix = new Matrix4().setTranslate(2, -6.5, 0);
-/**  @type {Matrix4} */
-var rightLowerLegMatrix = new Matrix4().setTranslate(0, -3.5, 0);
-/**  @type {Matrix4} */
-var leftLegMatrix = new Matrix4().setTranslate(-2, -6.5, 0);
-/**  @type {Matrix4} */
-var leftLowerLegMatrix = new Matrix4().setTranslate(0, -3.5, 0);
-/**  @type {Matrix4} */
-var rightFootMatrix = new Matrix4().setTranslate(0, -2, 0);
-/**  @type {Matrix4} */
-var leftFootMatrix = new Matrix4().setTranslate(0, -2, 0);
-/**  @type {Matrix4} */
-var rightEyeMatrix = new Matrix4().setTranslate(1, 0.8, 2);
-/**  @type {Matrix4} */
-var leftEyeMatrix = new Matrix4().setTranslate(-1, 0.8, 2);
-/**  @type {Matrix4} */
-var mouthMatrix = new Matrix4().setTranslate(0, -0.75, 2);
-/**  @type {Matrix4} */
-var rightEyebrowMatrix = new Matrix4().setTranslate(1, 1.5, 2);
-/**  @type {Matrix4} */
-var leftEyebrowMatrix = new Matrix4().setTranslate(-1, 1.5, 2);
-
-var torsoAngle = 0.0;
-var headAngle = 0.0;
-// var shoulderAngle = 0.0;
-var rightShoulderAngle = 0.0;
-var leftShoulderAngle = 0.0;
-// var armAngle = 0.0;
-var rightArmAngle = 0.0;
-var leftArmAngle = 0.0;
-// var handAngle = 0.0;
-var rightHandAngle = 0.0;
-var leftHandAngle = 0.0;
-// var legAngle = 0.0;
-var rightLegAngle = 0.0;
-var leftLegAngle = 0.0;
-// var lowerLegAngle = 0.0;
-var rightLowerLegAngle = 0.0;
-var leftLowerLegAngle = 0.0;
-
-var torsoMatrixLocal = new Matrix4().setScale(10, 10.5, 5);
-var shoulderMatrixLocal = new Matrix4().setScale(3, 5, 2);
-var armMatrixLocal = new Matrix4().setScale(3, 5, 2);
-var handMatrixLocal = new Matrix4().setScale(1, 3, 3);
-var headMatrixLocal = new Matrix4().setScale(5, 3.5, 4);
-var legMatrixLocal = new Matrix4().setScale(2, 3.5, 2);
-var lowerLegMatrixLocal = new Matrix4().setScale(2, 4, 2);
-var footMatrixLocal = new Matrix4().setScale(2, 1, 4);
-var eyeMatrixLocal = new Matrix4().setScale(0.7, 0.7, -0.25);
-var mouthMatrixLocal = new Matrix4().setScale(2.5, 0.5, -0.25);
-var eyebrowMatrixLocal = new Matrix4().setScale(1, 0.1, -0.25);
+function setModel(model) {
+  try {
+    if (!model || typeof model.root !== "object") {
+      throw new Error("missing root node");
+    }
+    var bindings = model.bindings || robotModel.bindings;
+    if (
+      !Array.isArray(bindings) ||
+      !bindings.every(
+        (b) =>
+          typeof b.key === "string" &&
+          b.key.length === 1 &&
+          Array.isArray(b.joints) &&
+          typeof b.step === "number" &&
+          (b.axis === undefined || b.axis in axisIndex)
+      )
+    ) {
+      throw new Error("invalid key bindings");
+    }
+    var chains = model.chains || robotModel.chains;
+    if (
+      !Array.isArray(chains) ||
+      !chains.every(
+        (c) =>
+          typeof c.name === "string" &&
+          Array.isArray(c.joints) &&
+          c.joints.length > 0 &&
+          typeof c.effector === "string"
+      )
+    ) {
+      throw new Error("invalid inverse kinematics chains");
+    }
+    robot = SceneNode.fromJSON(model.root);
+    modelName = model.name || "model";
+    keyBindings = bindings;
+    // chains are kept only if all their nodes exist and are articulated
+    ikChains = chains.filter(
+      (c) =>
+        robot.find(c.effector) &&
+        c.joints.every((name) => (robot.find(name) || {}).joint)
+    );
+    groundLevel = lowestPoint(robot);
+    resetSkin();
+    return true;
+  } catch (e) {
+    console.log(`Failed to load model: ${e.message}`);
+    return false;
+  }
+}
+
+setModel(robotModel);
 
 /**
  * View matrix.
@@ -298,11 +752,160 @@ var view = new Matrix4().setLookAt(
 
 /**
  * <p>Projection matrix.</p>
- * Here use aspect ratio 3/2 corresponding to canvas size 600 x 400.
+ * Set for each viewport by {@link draw}, with the aspect ratio of the viewport.
  * @type {Matrix4}
  */
 var projection = new Matrix4().setPerspective(45, 1.5, 0.1, 1000);
 
+/**
+ * <p>Projection parameters.</p>
+ * The type is "perspective" or "orthographic". An orthographic projection
+ * shows the height that the perspective one shows at the distance
+ * of the camera to its center, so switching keeps the robot's size.
+ * @type {{type: String, fov: Number}}
+ */
+var projectionMode = { type: "perspective", fov: 45 };
+
+/**
+ * <p>Viewport layout.</p>
+ * A single view, or four: top, front and side orthographic views, which show
+ * orthoSize units above and below the center of the camera moved by pan,
+ * and the free view.
+ * @type {{quad: Boolean, orthoSize: Number, pan: Array<Number>}}
+ */
+var layout = { quad: false, orthoSize: 16, pan: [0, 0, 0] };
+
+/**
+ * <p>Viewports drawn in the last frame, with the free view last.</p>
+ * Each has its rectangle, as fractions of the canvas from its lower left corner,
+ * and its view and projection matrices, so mouse events can be mapped back.
+ * @type {Array<{name: String, rect: Array<Number>, view: Matrix4, projection: Matrix4}>}
+ */
+var viewports = [];
+
+/**
+ * <p>Makes the drawing buffer of the canvas match its size on the page,
+ * in device pixels, and updates the viewport.</p>
+ * The size is checked every frame, which handles window resizes, layout changes
+ * and browser zoom, which changes the devicePixelRatio.
+ * @param {HTMLCanvasElement} canvas canvas element.
+ */
+function resizeCanvas(canvas) {
+  var ratio = window.devicePixelRatio || 1;
+  var width = Math.round(canvas.clientWidth * ratio);
+  var height = Math.round(canvas.clientHeight * ratio);
+  if (width === 0 || height === 0) return;
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  gl.viewport(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Returns the projection of the free view, following the {@link projectionMode}.
+ * @param {Number} aspect width / height of the viewport.
+ * @return {Matrix4} projection matrix.
+ */
+function makeProjection(aspect) {
+  var { type, fov } = projectionMode;
+  if (type === "orthographic") {
+    var h = camera.getPose().distance * Math.tan((fov * Math.PI) / 360);
+    return new Matrix4().setOrtho(-h * aspect, h * aspect, -h, h, 0.1, 1000);
+  }
+  return new Matrix4().setPerspective(fov, aspect, 0.1, 1000);
+}
+
+/**
+ * Returns the viewports of the current {@link layout}.
+ * In four views, the free one is at the lower right, as usual in modeling tools.
+ * @return {Array<{name: String, rect: Array<Number>, view: Matrix4, projection: Matrix4}>}
+ *    viewports, with the free view last.
+ */
+function layoutViewports() {
+  // a quarter of the canvas has the aspect ratio of the whole canvas
+  var aspect = gl.canvas.width / gl.canvas.height;
+  var free = {
+    name: "free",
+    rect: [0, 0, 1, 1],
+    view: camera.viewMatrix(),
+    projection: makeProjection(aspect),
+  };
+  if (!layout.quad) return [free];
+
+  var center = camera.getPose().center.map((c, i) => c + layout.pan[i]);
+  var s = layout.orthoSize;
+  var ortho = new Matrix4().setOrtho(-s * aspect, s * aspect, -s, s, 0.1, 1000);
+  var look = (direction, up) =>
+    new Matrix4().setLookAt(
+      ...center.map((c, i) => c + 100 * direction[i]),
+      ...center,
+      ...up
+    );
+  free.rect = [0.5, 0, 0.5, 0.5];
+  return [
+    {
+      name: "top",
+      rect: [0, 0.5, 0.5, 0.5],
+      view: look([0, 1, 0], [0, 0, -1]),
+      projection: ortho,
+    },
+    {
+      name: "front",
+      rect: [0.5, 0.5, 0.5, 0.5],
+      view: look([0, 0, 1], [0, 1, 0]),
+      projection: ortho,
+    },
+    {
+      name: "side",
+      rect: [0, 0, 0.5, 0.5],
+      view: look([1, 0, 0], [0, 1, 0]),
+      projection: ortho,
+    },
+    free,
+  ];
+}
+
+/**
+ * Returns the viewport under a mouse event.
+ * @param {MouseEvent} event mouse event.
+ * @param {HTMLCanvasElement} canvas canvas element.
+ * @return {Object | undefined} viewport, or undefined before the first frame.
+ */
+function viewportAt(event, canvas) {
+  var box = canvas.getBoundingClientRect();
+  var x = (event.clientX - box.left) / box.width;
+  var y = 1 - (event.clientY - box.top) / box.height;
+  return (
+    viewports.find(
+      ({ rect }) =>
+        x >= rect[0] &&
+        x <= rect[0] + rect[2] &&
+        y >= rect[1] &&
+        y <= rect[1] + rect[3]
+    ) || viewports[viewports.length - 1]
+  );
+}
+
+/**
+ * Returns the lowest height reached by the boxes of a subtree.
+ * @param {SceneNode} root subtree root.
+ * @return {Number} minimum y coordinate, in root coordinates.
+ */
+function lowestPoint(root) {
+  var lowest = Infinity;
+  (function visit(node, parentMatrix) {
+    var world = new Matrix4(parentMatrix).multiply(node.matrix);
+    var box = new Matrix4(world).multiply(node.localMatrix);
+    for (var corner = 0; corner < 8; ++corner) {
+      var p = [1, 2, 4].map((bit) => (corner & bit ? 0.5 : -0.5));
+      lowest = Math.min(lowest, transformPoint(box, p)[1]);
+    }
+    node.children.forEach((child) => visit(child, world));
+  })(root, new Matrix4());
+  return lowest;
+}
+
 /**
  * Translate keypress events to strings.
  * @param {KeyboardEvent} event key pressed.
@@ -319,495 +922,2061 @@ function getChar(event) {
   }
 }
 
+/**
+ * Rotates the joints of the named nodes by the given amount.
+ * Names that are not present in the current model,
+ * or that refer to fixed nodes, are ignored.
+ * @param {Array<String>} names node names.
+ * @param {Number} delta angle increment in degrees.
+ * @param {String} [axis="x"] axis name, used by ball joints only.
+ */
+function rotateJoints(names, delta, axis = "x") {
+  for (var name of names) {
+    var node = robot.find(name);
+    if (node && node.joint) {
+      node.joint.rotate(
+        delta,
+        node.joint.type === "ball" ? axisIndex[axis] : 0
+      );
+      node.updateMatrix();
+    }
+  }
+  updateJointControls();
+}
+
+/**
+ * Returns whether a key goes to a control that uses it, such as a text box,
+ * a slider, a list or an editable element, rather than being a shortcut.
+ * Checkboxes and buttons do not use the keys of the shortcuts.
+ * @param {KeyboardEvent} event key event.
+ * @return {Boolean} whether the key must be left to its target.
+ */
+function isEditingKey(event) {
+  var target = event.target;
+  if (!(target instanceof Element)) return false;
+  if (target.isContentEditable) return true;
+  if (target.matches("select, textarea")) return true;
+  return (
+    target.matches("input") &&
+    !["checkbox", "button", "submit", "reset", "file", "color"].includes(
+      target.type
+    )
+  );
+}
+
 /**
  * <p>Handler for key press events.</p>
- * Adjusts object rotations.
+ * Adjusts object rotations, according to {@link keyBindings}.
  * @param {KeyboardEvent} event key pressed.
  */
 function handleKeyPress(event) {
+  if (isEditingKey(event)) return;
   var ch = getChar(event);
+  if (!ch) return;
+  // keys that move the fly camera do not move the joints
+  if (camera.mode === "fly" && ch.toLowerCase() in flyKeys) return;
+  var binding = keyBindings.find((b) => b.key === ch.toLowerCase());
+  if (!binding) return;
+  rotateJoints(
+    binding.joints,
+    ch === binding.key ? binding.step : -binding.step,
+    binding.axis
+  );
+
   let opt = document.getElementById("options");
-  switch (ch) {
-    case "t":
-      torsoAngle += 15;
-      torsoMatrix.setTranslate(0, 0, 0).rotate(torsoAngle, 0, 1, 0);
-      break;
-    case "T":
-      torsoAngle -= 15;
-      torsoMatrix.setTranslate(0, 0, 0).rotate(torsoAngle, 0, 1, 0);
-      break;
-    case "l":
-      headAngle += 15;
-      headMatrix.setTranslate(0, 7, 0).rotate(headAngle, 0, 1, 0);
-      break;
-    case "L":
-      headAngle -= 15;
-      headMatrix.setTranslate(0, 7, 0).rotate(headAngle, 0, 1, 0);
-      break;
-    case "s":
-      // right shoulder
-      rightShoulderAngle += 15;
-      var currentRightShoulderRot = new Matrix4()
-        .setTranslate(0, 2, 0)
-        .rotate(-rightShoulderAngle, 1, 0, 0)
-        .translate(0, -2, 0);
-      rightShoulderMatrix.setTranslate(6.5, 2, 0).multiply(currentRightShoulderRot);
-      // left shoulder
-      leftShoulderAngle += 15;
-      var currentLeftShoulderRot = new Matrix4()
-        .setTranslate(0, 2, 0)
-        .rotate(-leftShoulderAngle, 1, 0, 0)
-        .translate(0, -2, 0);
-      leftShoulderMatrix.setTranslate(-6.5, 2, 0).multiply(currentLeftShoulderRot);
-      break;
-    case "S":
-      // right shoulder
-      rightShoulderAngle -= 15;
-      var currentRightShoulderRot = new Matrix4()
-        .setTranslate(0, 2, 0)
-        .rotate(-rightShoulderAngle, 1, 0, 0)
-        .translate(0, -2, 0);
-      rightShoulderMatrix.setTranslate(6.5, 2, 0).multiply(currentRightShoulderRot);
-      // left shoulder
-      leftShoulderAngle -= 15;
-      var currentLeftShoulderRot = new Matrix4()
-        .setTranslate(0, 2, 0)
-        .rotate(-leftShoulderAngle, 1, 0, 0)
-        .translate(0, -2, 0);
-      leftShoulderMatrix.setTranslate(-6.5, 2, 0).multiply(currentLeftShoulderRot);
-      break;
-    case "r":
-      rightShoulderAngle += 15;
-      // rotate shoulder clockwise about a point 2 units above its center
-      var currentShoulderRot = new Matrix4()
-        .setTranslate(0, 2, 0)
-        .rotate(-rightShoulderAngle, 1, 0, 0)
-        .translate(0, -2, 0);
-      rightShoulderMatrix.setTranslate(6.5, 2, 0).multiply(currentShoulderRot);
-      break;
-    case "R":
-      rightShoulderAngle -= 15;
-      var currentShoulderRot = new Matrix4()
-        .setTranslate(0, 2, 0)
-        .rotate(-rightShoulderAngle, 1, 0, 0)
-        .translate(0, -2, 0);
-      rightShoulderMatrix.setTranslate(6.5, 2, 0).multiply(currentShoulderRot);
-      break;
-    case "o":
-      leftShoulderAngle += 15;
-      // rotate shoulder clockwise about a point 2 units above its center
-      var currentShoulderRot = new Matrix4()
-        .setTranslate(0, 2, 0)
-        .rotate(-leftShoulderAngle, 1, 0, 0)
-        .translate(0, -2, 0);
-      leftShoulderMatrix.setTranslate(-6.5, 2, 0).multiply(currentShoulderRot);
-      break;
-    case "O":
-      leftShoulderAngle -= 15;
-      var currentShoulderRot = new Matrix4()
-        .setTranslate(0, 2, 0)
-        .rotate(-leftShoulderAngle, 1, 0, 0)
-        .translate(0, -2, 0);
-      leftShoulderMatrix.setTranslate(-6.5, 2, 0).multiply(currentShoulderRot);
-      break;
-    case "a":
-      // right arm
-      rightArmAngle += 15;
-      var currentRightArmRot = new Matrix4()
-        .setTranslate(0, 2.5, 0)
-        .rotate(-rightArmAngle, 1, 0, 0)
-        .translate(0, -2.5, 0);
-      rightArmMatrix.setTranslate(0, -5, 0).multiply(currentRightArmRot);
-      // left arm
-      leftArmAngle += 15;
-      var currentLeftArmRot = new Matrix4()
-        .setTranslate(0, 2, 0)
-        .rotate(-leftArmAngle, 1, 0, 0)
-        .translate(0, -2, 0);
-      leftArmMatrix.setTranslate(0, -5, 0).multiply(currentLeftArmRot);
-      break;
-    case "A":
-      // right arm
-      rightArmAngle -= 15;
-      var currentRightArmRot = new Matrix4()
-        .setTranslate(0, 2.5, 0)
-        .rotate(-rightArmAngle, 1, 0, 0)
-        .translate(0, -2.5, 0);
-      rightArmMatrix.setTranslate(0, -5, 0).multiply(currentRightArmRot);
-      // left arm
-      leftArmAngle -= 15;
-      var currentLeftArmRot = new Matrix4()
-        .setTranslate(0, 2, 0)
-        .rotate(-leftArmAngle, 1, 0, 0)
-        .translate(0, -2, 0);
-      leftArmMatrix.setTranslate(0, -5, 0).multiply(currentLeftArmRot);
-      break;
-    case "m":
-      rightArmAngle += 15;
-      var currentRightArmRot = new Matrix4()
-        .setTranslate(0, 2.5, 0)
-        .rotate(-rightArmAngle, 1, 0, 0)
-        .translate(0, -2.5, 0);
-      rightArmMatrix.setTranslate(0, -5, 0).multiply(currentRightArmRot);
-      break;
-    case "M":
-      rightArmAngle -= 15;
-      var currentRightArmRot = new Matrix4()
-        .setTranslate(0, 2.5, 0)
-        .rotate(-rightArmAngle, 1, 0, 0)
-        .translate(0, -2.5, 0);
-      rightArmMatrix.setTranslate(0, -5, 0).multiply(currentRightArmRot);
-      break;
-    case "n":
-      leftArmAngle += 15;
-      var currentLeftArmRot = new Matrix4()
-        .setTranslate(0, 2, 0)
-        .rotate(-leftArmAngle, 1, 0, 0)
-        .translate(0, -2, 0);
-      leftArmMatrix.setTranslate(0, -5, 0).multiply(currentLeftArmRot);
-      break;
-    case "N":
-      leftArmAngle -= 15;
-      var currentLeftArmRot = new Matrix4()
-        .setTranslate(0, 2, 0)
-        .rotate(-leftArmAngle, 1, 0, 0)
-        .translate(0, -2, 0);
-      leftArmMatrix.setTranslate(0, -5, 0).multiply(currentLeftArmRot);
-      break;
-    case "h":
-      // right hand 
-      rightHandAngle += 15;
-      rightHandMatrix.setTranslate(0, -4, 0).rotate(rightHandAngle, 0, 1, 0);
-      // left hand
-      leftHandAngle += 15;
-      leftHandMatrix.setTranslate(0, -4, 0).rotate(rightHandAngle, 0, 1, 0);
-      break;
-    case "H":
-      // right hand 
-      rightHandAngle -= 15;
-      rightHandMatrix.setTranslate(0, -4, 0).rotate(leftHandAngle, 0, 1, 0);
-      // left hand
-      leftHandAngle -= 15;
-      leftHandMatrix.setTranslate(0, -4, 0).rotate(leftHandAngle, 0, 1, 0);
-      break;
-    case "g":
-      rightHandAngle += 15;
-      rightHandMatrix.setTranslate(0, -4, 0).rotate(rightHandAngle, 0, 1, 0);
-      break;
-    case "G":
-      rightHandAngle -= 15;
-      rightHandMatrix.setTranslate(0, -4, 0).rotate(rightHandAngle, 0, 1, 0);
-      break;
-    case "i":
-      leftHandAngle += 15;
-      leftHandMatrix.setTranslate(0, -4, 0).rotate(leftHandAngle, 0, 1, 0);
-      break;
-    case "I":
-      leftHandAngle -= 15;
-      leftHandMatrix.setTranslate(0, -4, 0).rotate(leftHandAngle, 0, 1, 0);
-      break;
-    case "e":
-      // right leg
-      rightLegAngle += 15;
-      var currentRightLegRot = new Matrix4()
-        .setTranslate(0, 1, 0)
-        .rotate(-rightLegAngle, 1, 0, 0)
-        .translate(0, -1, 0);
-      rightLegMatrix.setTranslate(2, -6, 0).multiply(currentRightLegRot);
-      // left leg
-      leftLegAngle += 15;
-      var currentLeftLegRot = new Matrix4()
-        .setTranslate(0, 1, 0)
-        .rotate(-leftLegAngle, 1, 0, 0)
-        .translate(0, -1, 0);
-      leftLegMatrix.setTranslate(-2, -6, 0).multiply(currentLeftLegRot);
-      break;
-    case "E":
-      // right leg
-      rightLegAngle -= 15;
-      var currentRightLegRot = new Matrix4()
-        .setTranslate(0, 1, 0)
-        .rotate(-rightLegAngle, 1, 0, 0)
-        .translate(0, -1, 0);
-      rightLegMatrix.setTranslate(2, -6, 0).multiply(currentRightLegRot);
-      // left leg
-      leftLegAngle -= 15;
-      var currentLeftLegRot = new Matrix4()
-        .setTranslate(0, 1, 0)
-        .rotate(-leftLegAngle, 1, 0, 0)
-        .translate(0, -1, 0);
-      leftLegMatrix.setTranslate(-2, -6, 0).multiply(currentLeftLegRot);
-      break;
-    case "j":
-      rightLegAngle += 15;
-      var currentRightLegRot = new Matrix4()
-        .setTranslate(0, 1, 0)
-        .rotate(-rightLegAngle, 1, 0, 0)
-        .translate(0, -1, 0);
-      rightLegMatrix.setTranslate(2, -6, 0).multiply(currentRightLegRot);
-      break;
-    case "J":
-      rightLegAngle -= 15;
-      var currentRightLegRot = new Matrix4()
-        .setTranslate(0, 1, 0)
-        .rotate(-rightLegAngle, 1, 0, 0)
-        .translate(0, -1, 0);
-      rightLegMatrix.setTranslate(2, -6, 0).multiply(currentRightLegRot);
-      break;
-    case "k":
-      leftLegAngle += 15;
-      var currentLeftLegRot = new Matrix4()
-        .setTranslate(0, 1, 0)
-        .rotate(-leftLegAngle, 1, 0, 0)
-        .translate(0, -1, 0);
-      leftLegMatrix.setTranslate(-2, -6, 0).multiply(currentLeftLegRot);
-      break;
-    case "K":
-      leftLegAngle -= 15;
-      var currentLeftLegRot = new Matrix4()
-        .setTranslate(0, 1, 0)
-        .rotate(-leftLegAngle, 1, 0, 0)
-        .translate(0, -1, 0);
-      leftLegMatrix.setTranslate(-2, -6, 0).multiply(currentLeftLegRot);
-      break;
-    case "w":
-      // right lower leg
-      rightLowerLegAngle += 15;
-      var currentRightLowerLegRot = new Matrix4()
-        .setTranslate(0, 1, 0)
-        .rotate(-rightLowerLegAngle, 1, 0, 0)
-        .translate(0, -1, 0);
-      rightLowerLegMatrix.setTranslate(0, -3.5, 0).multiply(currentRightLowerLegRot);
-      // left lower leg
-      leftLowerLegAngle += 15;
-      var currentLeftLowerLegRot = new Matrix4()
-        .setTranslate(0, 1, 0)
-        .rotate(-leftLowerLegAngle, 1, 0, 0)
-        .translate(0, -1, 0);
-      leftLowerLegMatrix.setTranslate(0, -3.5, 0).multiply(currentLeftLowerLegRot);
-      break;
-    case "W":
-      // right lower leg
-      rightLowerLegAngle -= 15;
-      var currentRightLowerLegRot = new Matrix4()
-        .setTranslate(0, 1, 0)
-        .rotate(-rightLowerLegAngle, 1, 0, 0)
-        .translate(0, -1, 0);
-      rightLowerLegMatrix.setTranslate(0, -3.5, 0).multiply(currentRightLowerLegRot);
-      // left lower leg
-      leftLowerLegAngle -= 15;
-      var currentLeftLowerLegRot = new Matrix4()
-        .setTranslate(0, 1, 0)
-        .rotate(-leftLowerLegAngle, 1, 0, 0)
-        .translate(0, -1, 0);
-      leftLowerLegMatrix.setTranslate(0, -3.5, 0).multiply(currentLeftLowerLegRot);
-      break;
-    case "p":
-      rightLowerLegAngle += 15;
-      var currentRightLowerLegRot = new Matrix4()
-        .setTranslate(0, 1, 0)
-        .rotate(-rightLowerLegAngle, 1, 0, 0)
-        .translate(0, -1, 0);
-      rightLowerLegMatrix.setTranslate(0, -3.5, 0).multiply(currentRightLowerLegRot);
-      break;
-    case "P":
-      rightLowerLegAngle -= 15;
-      var currentRightLowerLegRot = new Matrix4()
-        .setTranslate(0, 1, 0)
-        .rotate(-rightLowerLegAngle, 1, 0, 0)
-        .translate(0, -1, 0);
-      rightLowerLegMatrix.setTranslate(0, -3.5, 0).multiply(currentRightLowerLegRot);
-      break;
-    case "q":
-      leftLowerLegAngle += 15;
-      var currentLeftLowerLegRot = new Matrix4()
-        .setTranslate(0, 1, 0)
-        .rotate(-leftLowerLegAngle, 1, 0, 0)
-        .translate(0, -1, 0);
-      leftLowerLegMatrix.setTranslate(0, -3.5, 0).multiply(currentLeftLowerLegRot);
-      break;
-    case "Q":
-      leftLowerLegAngle -= 15;
-      var currentLeftLowerLegRot = new Matrix4()
-        .setTranslate(0, 1, 0)
-        .rotate(-leftLowerLegAngle, 1, 0, 0)
-        .translate(0, -1, 0);
-      leftLowerLegMatrix.setTranslate(0, -3.5, 0).multiply(currentLeftLowerLegRot);
-      break;
-    default:
-      return;
-  }
   opt.innerHTML = `<br>${gl.getParameter(
     gl.SHADING_LANGUAGE_VERSION
   )}<br>${gl.getParameter(gl.VERSION)}`;
 }
 
 /**
- * <p>Helper function.</p>
- * Renders the cube based on the model transformation
- * on top of the stack and the given local transformation.
- * @param {Matrix4} matrixStack matrix on top of the stack;
- * @param {Matrix4} matrixLocal local transformation.
- * @param {String} color color of the cube
+ * Lists the key bindings of the current model in the control panel.
  */
-function renderCube(matrixStack, matrixLocal, color = "") {
-  // bind the shader
-  gl.useProgram(lightingShader);
+function showKeyBindings() {
+  var list = document.getElementById("keys");
+  list.innerHTML = "";
+  for (var binding of keyBindings) {
+    var item = document.createElement("li");
+    item.textContent = `${binding.key}, ${binding.key.toUpperCase()} → ${
+      binding.label || binding.joints.join(", ")
+    }`;
+    list.appendChild(item);
+  }
+}
 
-  // get the index for the a_Position attribute defined in the vertex shader
-  var positionIndex = gl.getAttribLocation(lightingShader, "a_Position");
-  if (positionIndex < 0) {
-    console.log("Failed to get the storage location of a_Position");
-    return;
+/**
+ * Returns all nodes of a subtree that have a joint, in depth-first order.
+ * @param {SceneNode} node subtree root.
+ * @return {Array<SceneNode>} articulated nodes.
+ */
+function jointNodes(node) {
+  var nodes = node.joint ? [node] : [];
+  for (var child of node.children) nodes.push(...jointNodes(child));
+  return nodes;
+}
+
+/**
+ * <p>Builds one slider per joint angle of the current model.</p>
+ * Each row shows the joint, its current angle and its limits.
+ * Unlimited angles get a slider from -180° to 180°.
+ */
+function showJointControls() {
+  var table = document.getElementById("joints");
+  table.innerHTML = "";
+  for (var node of jointNodes(robot)) {
+    var joint = node.joint;
+    for (let i = 0; i < joint.dof; ++i) {
+      var axis = joint.type === "ball" ? ` ${Object.keys(axisIndex)[i]}` : "";
+      var min = isFinite(joint.min[i]) ? joint.min[i] : -180;
+      var max = isFinite(joint.max[i]) ? joint.max[i] : 180;
+      var row = table.insertRow();
+      row.insertCell().textContent = node.name + axis;
+      row.insertCell().textContent = `${min}°`;
+
+      var slider = document.createElement("input");
+      slider.type = "range";
+      slider.min = min;
+      slider.max = max;
+      slider.dataset.joint = node.name;
+      slider.dataset.dof = i;
+      let target = node;
+      slider.addEventListener("input", (event) => {
+        target.joint.setAngle(Number(event.target.value), i);
+        target.updateMatrix();
+        updateJointControls();
+      });
+      row.insertCell().appendChild(slider);
+
+      row.insertCell().textContent = `${max}°`;
+      row.insertCell().className = "angle";
+    }
   }
+  updateJointControls();
+}
 
-  var normalIndex = gl.getAttribLocation(lightingShader, "a_Normal");
-  if (normalIndex < 0) {
-    console.log("Failed to get the storage location of a_Normal");
-    return;
+/**
+ * Shows the current joint angles in the control panel.
+ * Must be called whenever a joint angle changes.
+ */
+function updateJointControls() {
+  var table = document.getElementById("joints");
+  if (!table) return;
+  for (var row of table.rows) {
+    var slider = row.querySelector("input");
+    var node = robot.find(slider.dataset.joint);
+    var angle = node.joint.angles[slider.dataset.dof];
+    slider.value = angle;
+    row.querySelector(".angle").textContent = `${Math.round(angle)}°`;
   }
+}
 
-  // "enable" the a_position attribute
-  gl.enableVertexAttribArray(positionIndex);
-  gl.enableVertexAttribArray(normalIndex);
+/**
+ * <p>Loads a model description from a JSON file.</p>
+ * The file must hold an object in the same format as {@link robotModel}.
+ * @param {File} file file chosen by the user.
+ */
+function loadModel(file) {
+  var reader = new FileReader();
+  reader.onload = () => {
+    var model;
+    try {
+      model = JSON.parse(reader.result);
+    } catch (e) {
+      console.log(`Failed to parse ${file.name}: ${e.message}`);
+      return;
+    }
+    if (setModel(model)) {
+      selectNode(null);
+      picking.hovered = null;
+      showKeyBindings();
+      showJointControls();
+      showIKChains();
+      showMaterialParts();
+      openPoseLibrary();
+    }
+  };
+  reader.readAsText(file);
+}
 
-  // bind data for points and normals
-  gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
-  gl.vertexAttribPointer(positionIndex, 3, gl.FLOAT, false, 0, 0);
-  gl.bindBuffer(gl.ARRAY_BUFFER, vertexNormalBuffer);
-  gl.vertexAttribPointer(normalIndex, 3, gl.FLOAT, false, 0, 0);
-
-  var loc = gl.getUniformLocation(lightingShader, "view");
-  gl.uniformMatrix4fv(loc, false, view.elements);
-  loc = gl.getUniformLocation(lightingShader, "projection");
-  gl.uniformMatrix4fv(loc, false, projection.elements);
-  loc = gl.getUniformLocation(lightingShader, "u_Color");
-  color != "black" ? gl.uniform4f(loc, 0.5, 0, 0.6, 1.0) : gl.uniform4f(loc, 0, 0, 0, 1.0);
-  var loc = gl.getUniformLocation(lightingShader, "lightPosition");
-  gl.uniform4f(loc, 2.0, 8.0, 10.0, 1.0);
-
-  var modelMatrixloc = gl.getUniformLocation(lightingShader, "model");
-  var normalMatrixLoc = gl.getUniformLocation(lightingShader, "normalMatrix");
-
-  // transform using current model matrix on top of stack
-  var current = new Matrix4(matrixStack.top()).multiply(matrixLocal);
-  gl.uniformMatrix4fv(modelMatrixloc, false, current.elements);
-  gl.uniformMatrix3fv(
-    normalMatrixLoc,
-    false,
-    makeNormalMatrixElements(current, view)
+/**
+ * Downloads the current model as a JSON file,
+ * which can be read back by {@link loadModel}.
+ */
+function exportModel() {
+  var json = JSON.stringify(
+    { name: modelName, root: robot, bindings: keyBindings, chains: ikChains },
+    null,
+    2
   );
-
-  gl.drawArrays(gl.TRIANGLES, 0, 36);
-
-  // on safari 10, buffer cannot be disposed before drawing...
-  gl.bindBuffer(gl.ARRAY_BUFFER, null);
-  gl.useProgram(null);
+  download(new Blob([json], { type: "application/json" }), `${modelName}.json`);
 }
 
-/** Code to actually render our geometry. */
-function draw() {
-  // clear the framebuffer
-  gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BIT);
+/**
+ * Saves data as a file, through a temporary link.
+ * @param {Blob} blob file contents.
+ * @param {String} filename suggested file name.
+ */
+function download(blob, filename) {
+  var link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href));
+}
 
-  view.elements = rotator.getViewMatrix();
+/**
+ * <p>Downloads the robot in its current pose as a glTF 2.0 file.</p>
+ * If chosen in the control panel and there are keyframes,
+ * the timeline is exported as an animation, after which
+ * the current pose is restored.
+ * @param {String} format either "gltf" or "glb".
+ */
+function exportScene(format) {
+  var animate =
+    document.getElementById("gltfAnimation").checked &&
+    timeline.keyframes.length > 0;
+  var pose = getPose();
+  var gltf = exportGLTF(robot, {
+    name: modelName,
+    meshes,
+    translation: rootTranslation,
+    animation: animate && {
+      duration: timeline.duration,
+      pose: (time) => setPose(timeline.sample(time)),
+    },
+  });
+  setPose(pose);
+  if (format === "glb") {
+    download(
+      new Blob([gltfToBinary(gltf)], { type: "model/gltf-binary" }),
+      `${modelName}.glb`
+    );
+  } else {
+    download(
+      new Blob([gltfToText(gltf)], { type: "model/gltf+json" }),
+      `${modelName}.gltf`
+    );
+  }
+}
 
-  // set up the matrix stack
-  var s = new Stack();
-  s.push(torsoMatrix);
-  renderCube(s, torsoMatrixLocal);
+/**
+ * Keyframe animation of the robot.
+ * @type {Timeline}
+ */
+var timeline = new Timeline();
 
-  // right leg relative to torso
-  s.push(new Matrix4(s.top()).multiply(rightLegMatrix));
-  renderCube(s, legMatrixLocal);
+/**
+ * Returns the current pose of the robot.
+ * @return {Object<String, Array<Number>>} angles of each joint, by node name.
+ */
+function getPose() {
+  var pose = {};
+  for (var node of jointNodes(robot)) {
+    pose[node.name] = node.joint.angles.slice();
+  }
+  return pose;
+}
 
-  // right lower leg relative to torso
-  s.push(new Matrix4(s.top()).multiply(rightLowerLegMatrix));
-  renderCube(s, lowerLegMatrixLocal);
+/**
+ * <p>Poses the robot, without updating the joint controls.</p>
+ * Angles are clamped to the joint limits,
+ * and joints not in the pose are left unchanged.
+ * @param {Object<String, Array<Number>>} pose angles of each joint, by node name.
+ */
+function applyPose(pose) {
+  for (var node of jointNodes(robot)) {
+    var angles = pose[node.name];
+    if (!angles) continue;
+    angles.forEach((angle, i) => {
+      if (i < node.joint.dof) node.joint.setAngle(angle, i);
+    });
+    node.updateMatrix();
+  }
+}
 
-  // right foot relative to leg
-  s.push(new Matrix4(s.top()).multiply(rightFootMatrix));
-  renderCube(s, footMatrixLocal);
-  s.pop();
-  s.pop();
-  s.pop();
+/**
+ * Sets the pose of the robot, as in {@link applyPose},
+ * and shows it in the joint controls.
+ * @param {Object<String, Array<Number>>} pose angles of each joint, by node name.
+ */
+function setPose(pose) {
+  applyPose(pose);
+  updateJointControls();
+}
 
-  // left leg relative to torso
-  s.push(new Matrix4(s.top()).multiply(leftLegMatrix));
-  renderCube(s, legMatrixLocal);
+/**
+ * Saved poses of the current model.
+ * @type {PoseLibrary}
+ */
+var poseLibrary;
 
-  // left lower leg relative to torso
-  s.push(new Matrix4(s.top()).multiply(leftLowerLegMatrix));
-  renderCube(s, lowerLegMatrixLocal);
+/**
+ * Opens the pose library of the current model and lists its poses.
+ */
+function openPoseLibrary() {
+  poseLibrary = new PoseLibrary(`hierarchy.poses.${modelName}`);
+  showPoses();
+}
 
-  // left foot relative to leg
-  s.push(new Matrix4(s.top()).multiply(leftFootMatrix));
-  renderCube(s, footMatrixLocal);
-  s.pop();
-  s.pop();
-  s.pop();
+/**
+ * Renders the robot in its current pose and returns a small image of it.
+ * @return {String} JPEG image, as a data URL.
+ */
+function poseThumbnail() {
+  draw();
+  var canvas = document.createElement("canvas");
+  canvas.width = 96;
+  canvas.height = 64;
+  // the drawing buffer is still valid, since the frame was just drawn
+  canvas.getContext("2d").drawImage(gl.canvas, 0, 0, 96, 64);
+  return canvas.toDataURL("image/jpeg", 0.8);
+}
 
-  // right shoulder relative to torso
-  s.push(new Matrix4(s.top()).multiply(rightShoulderMatrix));
-  renderCube(s, shoulderMatrixLocal);
+/**
+ * Lists the saved poses in the control panel, with their thumbnails.
+ * Clicking a pose applies it.
+ */
+function showPoses() {
+  var list = document.getElementById("poses");
+  list.innerHTML = "";
+  for (var entry of poseLibrary.poses) {
+    let { name, pose } = entry;
+    var figure = document.createElement("figure");
+    figure.className = "pose";
+    figure.title = name;
+    var image = document.createElement("img");
+    image.src = entry.thumbnail;
+    image.alt = name;
+    image.addEventListener("click", () => {
+      timeline.playing = false;
+      setPose(pose);
+      updateTimelineControls();
+    });
+    var caption = document.createElement("figcaption");
+    caption.textContent = name;
+    var remove = document.createElement("button");
+    remove.textContent = "×";
+    remove.title = "Delete";
+    remove.addEventListener("click", () => {
+      poseLibrary.remove(name);
+      showPoses();
+    });
+    caption.appendChild(remove);
+    figure.append(image, caption);
+    list.appendChild(figure);
+  }
+}
 
-  // right arm relative to shoulder
-  s.push(new Matrix4(s.top()).multiply(rightArmMatrix));
-  renderCube(s, armMatrixLocal);
+/**
+ * <p>Loads the poses of a file into the library.</p>
+ * Thumbnails are rendered by applying each pose in turn,
+ * after which the current pose is restored.
+ * @param {File} file file chosen by the user.
+ */
+function importPoses(file) {
+  var reader = new FileReader();
+  reader.onload = () => {
+    var poses;
+    try {
+      poses = PoseLibrary.parse(JSON.parse(reader.result));
+    } catch (e) {
+      console.log(`Failed to read poses from ${file.name}: ${e.message}`);
+      return;
+    }
+    var current = getPose();
+    poses.forEach(({ name, pose }) => {
+      setPose(pose);
+      poseLibrary.add(name, pose, poseThumbnail());
+    });
+    setPose(current);
+    showPoses();
+  };
+  reader.readAsText(file);
+}
 
-  // right hand relative to arm
-  s.push(new Matrix4(s.top()).multiply(rightHandMatrix));
-  renderCube(s, handMatrixLocal);
-  s.pop();
-  s.pop();
-  s.pop();
+/**
+ * Sets up the handlers of the pose library.
+ */
+function initPoseControls() {
+  document.getElementById("savePose").addEventListener("click", () => {
+    var input = document.getElementById("poseName");
+    var name = input.value.trim() || `Pose ${poseLibrary.poses.length + 1}`;
+    poseLibrary.add(name, getPose(), poseThumbnail());
+    input.value = "";
+    showPoses();
+  });
+  document.getElementById("mirrorPose").addEventListener("click", () => {
+    timeline.playing = false;
+    setPose(mirrorPose(robot, getPose()));
+    updateTimelineControls();
+  });
+  document.getElementById("poseFile").addEventListener("change", (event) => {
+    if (event.target.files.length > 0) importPoses(event.target.files[0]);
+    event.target.value = "";
+  });
+  document.getElementById("exportPoses").addEventListener("click", () => {
+    download(
+      new Blob([JSON.stringify(poseLibrary, null, 2)], {
+        type: "application/json",
+      }),
+      `${modelName}-poses.json`
+    );
+  });
+  openPoseLibrary();
+}
 
-  // left shoulder relative to torso
-  s.push(new Matrix4(s.top()).multiply(leftShoulderMatrix));
-  renderCube(s, shoulderMatrixLocal);
+/**
+ * Sets the robot to the pose of the timeline at its current time.
+ */
+function applyTimeline() {
+  var pose = timeline.sample(timeline.time);
+  if (pose) setPose(pose);
+  updateTimelineControls();
+}
 
-  // left arm relative to torso
-  s.push(new Matrix4(s.top()).multiply(leftArmMatrix));
-  renderCube(s, armMatrixLocal);
+/**
+ * Shows the timeline state in the control panel,
+ * with a button for jumping to each keyframe.
+ */
+function showKeyframes() {
+  var list = document.getElementById("keyframes");
+  list.innerHTML = "";
+  for (var keyframe of timeline.keyframes) {
+    var button = document.createElement("button");
+    button.className = "keyframe";
+    button.textContent = `${keyframe.time.toFixed(2)} s`;
+    button.title = keyframe.easing;
+    let time = keyframe.time;
+    button.addEventListener("click", () => {
+      timeline.time = time;
+      applyTimeline();
+    });
+    list.appendChild(button);
+  }
+  updateTimelineControls();
+}
 
-  // left hand relative to torso
-  s.push(new Matrix4(s.top()).multiply(leftHandMatrix));
-  renderCube(s, handMatrixLocal);
-  s.pop();
-  s.pop();
-  s.pop();
+/**
+ * Shows the current time and playback state in the control panel.
+ */
+function updateTimelineControls() {
+  var slider = document.getElementById("time");
+  slider.max = timeline.duration;
+  slider.value = timeline.time;
+  document.getElementById("timeLabel").textContent = `${timeline.time.toFixed(
+    2
+  )} s`;
+  document.getElementById("play").textContent = timeline.playing
+    ? "Pause"
+    : "Play";
+}
 
-  // head relative to torso
-  s.push(new Matrix4(s.top()).multiply(headMatrix));
-  renderCube(s, headMatrixLocal);
+/**
+ * Sets up the handlers of the animation controls.
+ */
+function initTimelineControls() {
+  document.getElementById("play").addEventListener("click", () => {
+    if (!timeline.playing && timeline.time >= timeline.duration) {
+      timeline.time = 0;
+    }
+    timeline.playing = !timeline.playing && !procedural.enabled;
+    updateTimelineControls();
+  });
+  document.getElementById("time").addEventListener("input", (event) => {
+    timeline.playing = false;
+    timeline.time = Number(event.target.value);
+    applyTimeline();
+  });
+  document.getElementById("addKeyframe").addEventListener("click", () => {
+    var easing = document.getElementById("easing").value;
+    timeline.addKeyframe(timeline.time, getPose(), easing);
+    showKeyframes();
+  });
+  document.getElementById("removeKeyframe").addEventListener("click", () => {
+    if (timeline.removeKeyframe(timeline.time)) showKeyframes();
+  });
+  document.getElementById("loop").addEventListener("change", (event) => {
+    timeline.loop = event.target.checked;
+  });
+  document.getElementById("duration").addEventListener("change", (event) => {
+    var duration = Number(event.target.value);
+    if (!(duration > 0)) {
+      event.target.value = timeline.duration;
+      return;
+    }
+    timeline.setDuration(duration);
+    showKeyframes();
+  });
+  showKeyframes();
+}
 
-  // right eye relative to head
-  s.push(new Matrix4(s.top()).multiply(rightEyeMatrix));
-  renderCube(s, eyeMatrixLocal, "black");
-  s.pop();
+/**
+ * <p>Procedural animations of the default robot.</p>
+ * Legs and arms share the same waves, half a cycle apart,
+ * and arms swing against the leg on the same side.
+ * Negative shoulder and leg x angles move the limb forward.
+ * @type {Object<String, Gait>}
+ */
+// prettier-ignore
+var gaits = {
+  walk: new Gait({
+    frequency: 1,
+    channels: [
+      { joint: "rightLeg", axis: "x", amplitude: 25, phase: 0 },
+      { joint: "leftLeg", axis: "x", amplitude: 25, phase: 0.5 },
+      { joint: "rightLowerLeg", bias: 15, amplitude: 15, phase: 0.25 },
+      { joint: "leftLowerLeg", bias: 15, amplitude: 15, phase: 0.75 },
+      { joint: "rightShoulder", axis: "x", amplitude: 20, phase: 0.5 },
+      { joint: "leftShoulder", axis: "x", amplitude: 20, phase: 0 },
+      { joint: "rightArm", bias: 15, amplitude: 10, phase: 0.5 },
+      { joint: "leftArm", bias: 15, amplitude: 10, phase: 0 },
+      { joint: "torso", amplitude: 5, phase: 0 },
+      { translate: "y", amplitude: 0.3, shape: "bounce" },
+    ],
+  }),
+  run: new Gait({
+    frequency: 1.6,
+    channels: [
+      { joint: "rightLeg", axis: "x", bias: -10, amplitude: 40, phase: 0 },
+      { joint: "leftLeg", axis: "x", bias: -10, amplitude: 40, phase: 0.5 },
+      { joint: "rightLowerLeg", bias: 50, amplitude: 40, phase: 0.25 },
+      { joint: "leftLowerLeg", bias: 50, amplitude: 40, phase: 0.75 },
+      { joint: "rightShoulder", axis: "x", amplitude: 40, phase: 0.5 },
+      { joint: "leftShoulder", axis: "x", amplitude: 40, phase: 0 },
+      { joint: "rightArm", bias: 80, amplitude: 10, phase: 0.5 },
+      { joint: "leftArm", bias: 80, amplitude: 10, phase: 0 },
+      { joint: "torso", amplitude: 8, phase: 0 },
+      { translate: "y", amplitude: 0.8, shape: "bounce" },
+    ],
+  }),
+  wave: new Gait({
+    frequency: 1.2,
+    channels: [
+      { joint: "rightShoulder", axis: "z", bias: 140, amplitude: 10 },
+      { joint: "rightArm", bias: 30, amplitude: 25, phase: 0.25 },
+      { joint: "rightHand", amplitude: 30 },
+      { joint: "head", axis: "y", bias: 15, amplitude: 5 },
+      { joint: "head", axis: "z", amplitude: 5, phase: 0.25 },
+    ],
+  }),
+  jump: new Gait({
+    frequency: 0.8,
+    channels: [
+      // crouch while on the ground...
+      { joint: "rightLeg", axis: "x", amplitude: -40, phase: 0.5, shape: "pulse" },
+      { joint: "leftLeg", axis: "x", amplitude: -40, phase: 0.5, shape: "pulse" },
+      { joint: "rightLowerLeg", amplitude: 80, phase: 0.5, shape: "pulse" },
+      { joint: "leftLowerLeg", amplitude: 80, phase: 0.5, shape: "pulse" },
+      { translate: "y", amplitude: -2.5, phase: 0.5, shape: "pulse" },
+      // ...and raise the arms while in the air
+      { joint: "rightShoulder", axis: "z", amplitude: 60, shape: "pulse" },
+      { joint: "leftShoulder", axis: "z", amplitude: -60, shape: "pulse" },
+      { translate: "y", amplitude: 5, shape: "pulse" },
+    ],
+  }),
+  idle: new Gait({
+    frequency: 0.25,
+    channels: [
+      { translate: "y", amplitude: 0.15 },
+      { joint: "rightShoulder", axis: "z", bias: 3, amplitude: 3 },
+      { joint: "leftShoulder", axis: "z", bias: -3, amplitude: -3 },
+      { joint: "rightArm", bias: 5, amplitude: 3, phase: 0.25 },
+      { joint: "leftArm", bias: 5, amplitude: 3, phase: 0.25 },
+      { joint: "head", axis: "x", amplitude: 3, phase: 0.25 },
+    ],
+  }),
+};
 
-  // left eye relative to head
-  s.push(new Matrix4(s.top()).multiply(leftEyeMatrix));
-  renderCube(s, eyeMatrixLocal, "black");
-  s.pop();
+/**
+ * State of the procedural animation.
+ * While enabled, the selected gait overrides manual and keyframe control.
+ * @type {{enabled: Boolean, gait: String, phase: Number, speed: Number, amplitude: Number}}
+ */
+var procedural = {
+  enabled: false,
+  gait: "walk",
+  phase: 0,
+  speed: 1,
+  amplitude: 1,
+};
 
-  // right eyebrow relative to head
-  s.push(new Matrix4(s.top()).multiply(rightEyebrowMatrix));
-  renderCube(s, eyebrowMatrixLocal, "black");
-  s.pop();
+/**
+ * Translation of the whole robot, used by procedural animations.
+ * @type {Array<Number>}
+ */
+var rootTranslation = [0, 0, 0];
 
-  // left eyebrow relative to head
-  s.push(new Matrix4(s.top()).multiply(leftEyebrowMatrix));
-  renderCube(s, eyebrowMatrixLocal, "black");
-  s.pop();
+/**
+ * Returns the pose with every joint angle equal to zero, or to the
+ * closest limit when zero is out of range.
+ * @return {Object<String, Array<Number>>} rest pose.
+ */
+function restPose() {
+  var pose = {};
+  for (var node of jointNodes(robot)) {
+    pose[node.name] = node.joint.angles.map((a, i) => node.joint.clamp(0, i));
+  }
+  return pose;
+}
 
-  // mouth relative to head
-  s.push(new Matrix4(s.top()).multiply(mouthMatrix));
-  renderCube(s, mouthMatrixLocal, "black");
-  s.pop();
+/**
+ * Advances the procedural animation and poses the robot accordingly.
+ * @param {Number} dt elapsed time in seconds.
+ */
+function applyGait(dt) {
+  var gait = gaits[procedural.gait];
+  procedural.phase += dt * gait.frequency * procedural.speed;
+  var { pose, translation } = gait.sample(
+    procedural.phase,
+    procedural.amplitude
+  );
+  setPose({ ...restPose(), ...pose });
+  rootTranslation = translation;
+}
+
+/**
+ * Sets up the handlers of the procedural animation controls.
+ */
+function initProceduralControls() {
+  document.getElementById("procedural").addEventListener("change", (event) => {
+    procedural.enabled = event.target.checked;
+    if (procedural.enabled) {
+      timeline.playing = false;
+      updateTimelineControls();
+    } else {
+      rootTranslation = [0, 0, 0];
+    }
+  });
+  document.getElementById("gait").addEventListener("change", (event) => {
+    procedural.gait = event.target.value;
+    procedural.phase = 0;
+  });
+  document.getElementById("speed").addEventListener("input", (event) => {
+    procedural.speed = Number(event.target.value);
+  });
+  document.getElementById("amplitude").addEventListener("input", (event) => {
+    procedural.amplitude = Number(event.target.value);
+  });
+}
+
+/**
+ * <p>State of the crowd mode.</p>
+ * The robot is surrounded by copies of itself on a square grid, each with
+ * its own gait, phase, speed and heading, so they move independently.
+ * Copies share the model of the robot, which is posed for each of them
+ * in turn when the instances of a frame are collected.
+ * @type {{enabled: Boolean, size: Number, spacing: Number, members: Array<{position: Array<Number>, yaw: Number, gait: String, phase: Number, speed: Number}>}}
+ */
+var crowd = { enabled: false, size: 10, spacing: 20, members: [] };
+
+/**
+ * Places the members of the crowd on a grid of {@link crowd}.size
+ * by {@link crowd}.size cells centered on the origin, leaving out
+ * the cells next to the origin, where the robot stands.
+ */
+function makeCrowd() {
+  var names = Object.keys(gaits);
+  var half = (crowd.size - 1) / 2;
+  crowd.members = [];
+  for (var i = 0; i < crowd.size; ++i) {
+    for (var j = 0; j < crowd.size; ++j) {
+      var x = (i - half) * crowd.spacing;
+      var z = (j - half) * crowd.spacing;
+      if (Math.hypot(x, z) < 0.75 * crowd.spacing) continue;
+      crowd.members.push({
+        position: [x, 0, z],
+        yaw: 360 * Math.random(),
+        gait: names[Math.floor(Math.random() * names.length)],
+        phase: Math.random(),
+        speed: 0.7 + 0.6 * Math.random(),
+      });
+    }
+  }
+}
+
+/**
+ * Advances the gait of every member of the crowd.
+ * @param {Number} dt elapsed time in seconds.
+ */
+function advanceCrowd(dt) {
+  crowd.members.forEach((member) => {
+    member.phase += dt * gaits[member.gait].frequency * member.speed;
+  });
+}
+
+/**
+ * Returns the side of the ground, which must hold the whole crowd when shown.
+ * @return {Number} side of the ground.
+ */
+function groundSize() {
+  return crowd.enabled ? Math.max(40, (crowd.size + 1) * crowd.spacing) : 40;
+}
+
+/**
+ * Lets the camera move far enough away to see the whole crowd.
+ */
+function fitCrowd() {
+  var limit = crowd.enabled ? Math.max(150, 1.5 * groundSize()) : 150;
+  rotator.setDistanceLimits(5, limit);
+  camera.maxDistance = limit;
+}
+
+/**
+ * Sets up the handlers of the crowd controls.
+ */
+function initCrowdControls() {
+  var count = document.getElementById("crowdCount");
+  var showCount = () => {
+    count.textContent = crowd.enabled
+      ? `${crowd.members.length + 1} robots`
+      : "";
+  };
+  document.getElementById("crowd").addEventListener("change", (event) => {
+    crowd.enabled = event.target.checked;
+    if (crowd.enabled) makeCrowd();
+    else crowd.members = [];
+    showCount();
+    fitCrowd();
+  });
+  document.getElementById("crowdSize").addEventListener("input", (event) => {
+    crowd.size = Number(event.target.value);
+    if (crowd.enabled) makeCrowd();
+    showCount();
+    fitCrowd();
+  });
+}
+
+/**
+ * State of the inverse kinematics tool.
+ * While enabled, dragging the target gizmo moves the effector of the chosen chain.
+ * @type {{enabled: Boolean, chain: Number, solver: String, target: Array<Number>, dragging: Boolean}}
+ */
+var ik = {
+  enabled: false,
+  chain: 0,
+  solver: "twoBone",
+  target: [0, 0, 0],
+  dragging: false,
+};
+
+/**
+ * Color of the inverse kinematics target gizmo.
+ * @type {Array<Number>}
+ */
+var yellow = [0.98, 0.73, 0.31, 1];
+
+/**
+ * Returns the chosen chain, with node names resolved to nodes.
+ * @return {{joints: Array<SceneNode>, effector: SceneNode} | null} chain, or null if the model has none.
+ */
+function currentChain() {
+  var chain = ikChains[ik.chain];
+  if (!chain) return null;
+  return {
+    joints: chain.joints.map((name) => robot.find(name)),
+    effector: robot.find(chain.effector),
+  };
+}
+
+/**
+ * Places the target gizmo at the effector of the chosen chain.
+ */
+function resetTarget() {
+  var chain = currentChain();
+  if (chain) ik.target = nodePosition(chain.effector);
+}
+
+/**
+ * Moves the effector of the chosen chain towards the target.
+ */
+function solveIK() {
+  var chain = currentChain();
+  if (!chain) return;
+  if (ik.solver === "twoBone" && chain.joints.length === 2) {
+    solveTwoBone(...chain.joints, chain.effector, ik.target);
+  } else {
+    solveCCD(chain.joints, chain.effector, ik.target);
+  }
+  updateJointControls();
+}
+
+/**
+ * Returns the matrix taking root coordinates of the robot to clip coordinates.
+ * @param {Object} [viewport] viewport whose matrices are used,
+ *    or the current {@link view} and {@link projection}.
+ * @return {Matrix4} projection · view · root translation.
+ */
+function clipMatrix(viewport = { view, projection }) {
+  return new Matrix4(viewport.projection)
+    .multiply(viewport.view)
+    .translate(...rootTranslation);
+}
+
+/**
+ * Returns the position of a mouse event in normalized device coordinates.
+ * @param {MouseEvent} event mouse event.
+ * @param {HTMLCanvasElement} canvas canvas element.
+ * @param {Object} [viewport] viewport the coordinates refer to,
+ *    or the whole canvas.
+ * @return {Array<Number>} x and y in [-1, 1].
+ */
+function eventToNDC(event, canvas, viewport) {
+  var box = canvas.getBoundingClientRect();
+  var [left, bottom, width, height] = viewport ? viewport.rect : [0, 0, 1, 1];
+  var x = (event.clientX - box.left) / box.width;
+  var y = 1 - (event.clientY - box.top) / box.height;
+  return [((x - left) / width) * 2 - 1, ((y - bottom) / height) * 2 - 1];
+}
+
+/**
+ * <p>Sets up dragging of the target gizmo.</p>
+ * Mouse down is handled in the capture phase, so that a drag starting on
+ * the gizmo does not reach the {@link SimpleRotator} of the canvas.
+ * The target moves parallel to the screen, keeping its depth.
+ * @param {HTMLCanvasElement} canvas canvas element.
+ */
+function initIKControls(canvas) {
+  var depth, viewport;
+  window.addEventListener(
+    "mousedown",
+    (event) => {
+      if (!ik.enabled || event.button !== 0 || event.target !== canvas) {
+        return;
+      }
+      viewport = viewportAt(event, canvas);
+      var p = clipMatrix(viewport).multiplyVector4(
+        new Vector4([...ik.target, 1])
+      ).elements;
+      var [x, y] = eventToNDC(event, canvas, viewport);
+      var box = canvas.getBoundingClientRect();
+      var rect = viewport ? viewport.rect : [0, 0, 1, 1];
+      var dx = ((x - p[0] / p[3]) * box.width * rect[2]) / 2;
+      var dy = ((y - p[1] / p[3]) * box.height * rect[3]) / 2;
+      if (Math.hypot(dx, dy) > 12) return;
+      event.stopPropagation();
+      depth = p[2] / p[3];
+      ik.dragging = true;
+    },
+    true
+  );
+  window.addEventListener("mousemove", (event) => {
+    if (!ik.dragging) return;
+    // the drag stays in the viewport where it started
+    var [x, y] = eventToNDC(event, canvas, viewport);
+    var inverse = new Matrix4().setInverseOf(clipMatrix(viewport));
+    var p = inverse.multiplyVector4(new Vector4([x, y, depth, 1])).elements;
+    ik.target = [p[0] / p[3], p[1] / p[3], p[2] / p[3]];
+    solveIK();
+  });
+  window.addEventListener("mouseup", () => (ik.dragging = false));
+
+  document.getElementById("ik").addEventListener("change", (event) => {
+    ik.enabled = event.target.checked;
+    resetTarget();
+  });
+  document.getElementById("ikChain").addEventListener("change", (event) => {
+    ik.chain = Number(event.target.value);
+    resetTarget();
+  });
+  document.getElementById("ikSolver").addEventListener("change", (event) => {
+    ik.solver = event.target.value;
+  });
+  showIKChains();
+}
+
+/**
+ * Lists the inverse kinematics chains of the current model in the control panel.
+ */
+function showIKChains() {
+  var select = document.getElementById("ikChain");
+  select.innerHTML = "";
+  ikChains.forEach((chain, i) => select.add(new Option(chain.name, i)));
+  ik.chain = 0;
+  resetTarget();
+}
+
+/**
+ * State of part selection with the mouse.
+ * @type {{enabled: Boolean, hovered: SceneNode, selected: SceneNode, dragging: Boolean}}
+ */
+var picking = {
+  enabled: true,
+  hovered: null,
+  selected: null,
+  dragging: false,
+};
+
+/**
+ * Returns the ray through a mouse position.
+ * @param {MouseEvent} event mouse event.
+ * @param {HTMLCanvasElement} canvas canvas element.
+ * @return {{origin: Array<Number>, direction: Array<Number>}} ray in root coordinates of the robot.
+ */
+function eventToRay(event, canvas) {
+  var viewport = viewportAt(event, canvas);
+  var [x, y] = eventToNDC(event, canvas, viewport);
+  var inverse = new Matrix4().setInverseOf(clipMatrix(viewport));
+  var unproject = (z) => {
+    var p = inverse.multiplyVector4(new Vector4([x, y, z, 1])).elements;
+    return [p[0] / p[3], p[1] / p[3], p[2] / p[3]];
+  };
+  var near = unproject(-1);
+  var far = unproject(1);
+  return { origin: near, direction: far.map((v, i) => v - near[i]) };
+}
+
+/**
+ * Returns the node itself, if it has a joint, or else its nearest
+ * articulated ancestor, which is the joint that moves it.
+ * @param {SceneNode} node picked node.
+ * @return {SceneNode | null} articulated node, or null if there is none.
+ */
+function articulatedNode(node) {
+  while (node && !node.joint) node = node.parent;
+  return node;
+}
+
+/**
+ * <p>Rotates the selected joint.</p>
+ * Hinges use a single angle for both directions.
+ * Ball joints map vertical motion to x, and horizontal motion to z,
+ * or to y (twist) when the shift key is held.
+ * @param {Number} horizontal angle increment from horizontal motion, in degrees.
+ * @param {Number} vertical angle increment from vertical motion, in degrees.
+ * @param {Boolean} twist whether horizontal motion twists a ball joint.
+ */
+function rotateSelected(horizontal, vertical, twist) {
+  var node = articulatedNode(picking.selected);
+  if (!node) return;
+  if (node.joint.type === "ball") {
+    node.joint.rotate(vertical, axisIndex.x);
+    node.joint.rotate(horizontal, twist ? axisIndex.y : axisIndex.z);
+  } else {
+    node.joint.rotate(horizontal + vertical);
+  }
+  node.updateMatrix();
+  updateJointControls();
+}
+
+/**
+ * Selects a node and shows its name in the control panel.
+ * @param {SceneNode | null} node node to select, or null to clear the selection.
+ */
+function selectNode(node) {
+  picking.selected = node;
+  if (node) {
+    document.getElementById("materialPart").value = node.name;
+    showMaterial();
+  }
+  var joint = articulatedNode(node);
+  var text = "none";
+  if (node) {
+    text = node.name;
+    if (joint && joint !== node) text += ` (moved by ${joint.name})`;
+  }
+  document.getElementById("selection").textContent = text;
+}
+
+/**
+ * <p>Sets up the mouse and keyboard handlers of part selection.</p>
+ * Hovered parts are highlighted. A press on a part selects it, and dragging
+ * then rotates its joint instead of the view, while a press on the background
+ * clears the selection and still rotates the view.
+ * Arrow keys rotate the selected joint, and Escape clears the selection.
+ * @param {HTMLCanvasElement} canvas canvas element.
+ */
+function initPickingControls(canvas) {
+  var prev;
+  window.addEventListener(
+    "mousedown",
+    (event) => {
+      if (
+        !picking.enabled ||
+        ik.dragging ||
+        event.button !== 0 ||
+        event.target !== canvas
+      ) {
+        return;
+      }
+      var { origin, direction } = eventToRay(event, canvas);
+      var node = pickNode(robot, origin, direction);
+      selectNode(node);
+      if (!node) return;
+      event.stopPropagation();
+      picking.dragging = true;
+      prev = [event.clientX, event.clientY];
+    },
+    true
+  );
+  window.addEventListener("mousemove", (event) => {
+    if (picking.dragging) {
+      var dx = event.clientX - prev[0];
+      var dy = event.clientY - prev[1];
+      prev = [event.clientX, event.clientY];
+      rotateSelected(dx / 2, dy / 2, event.shiftKey);
+    } else if (picking.enabled && event.target === canvas) {
+      var { origin, direction } = eventToRay(event, canvas);
+      picking.hovered = pickNode(robot, origin, direction);
+    } else {
+      picking.hovered = null;
+    }
+  });
+  window.addEventListener("mouseup", () => (picking.dragging = false));
+  window.addEventListener("keydown", (event) => {
+    if (!picking.selected || isEditingKey(event)) return;
+    var step = 5;
+    switch (event.key) {
+      case "ArrowLeft":
+        rotateSelected(-step, 0, event.shiftKey);
+        break;
+      case "ArrowRight":
+        rotateSelected(step, 0, event.shiftKey);
+        break;
+      case "ArrowUp":
+        rotateSelected(0, -step, false);
+        break;
+      case "ArrowDown":
+        rotateSelected(0, step, false);
+        break;
+      case "Escape":
+        selectNode(null);
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  });
+  document.getElementById("picking").addEventListener("change", (event) => {
+    picking.enabled = event.target.checked;
+    picking.hovered = null;
+    if (!picking.enabled) selectNode(null);
+  });
+  selectNode(null);
+}
+
+/**
+ * Fills the light editor with the parameters of the chosen light.
+ */
+function showLight() {
+  var light = lights[document.getElementById("light").value];
+  document.getElementById("lightEnabled").checked = light.enabled;
+  document.getElementById("lightType").value = light.type;
+  ["x", "y", "z"].forEach((a, i) => {
+    document.getElementById(`light${a.toUpperCase()}`).value =
+      light.position[i];
+  });
+  document.getElementById("lightColor").value = colorToHex(light.color);
+  document.getElementById("lightCutoff").value = light.cutoff;
+  document.getElementById("lightFalloff").value = light.attenuation[1];
+}
+
+/**
+ * <p>Sets up the handlers of the light editor.</p>
+ * Every light aims at the origin, so moving a directional or spot light
+ * also turns it. Changes apply immediately to the chosen light.
+ */
+function initLightControls() {
+  var select = document.getElementById("light");
+  lights.forEach((light, i) =>
+    select.add(new Option(`Light ${i + 1} (${light.type})`, i))
+  );
+  var input = (id, update, type = "input") =>
+    document.getElementById(id).addEventListener(type, (event) => {
+      var light = lights[select.value];
+      var target = event.target;
+      update(light, target.type === "checkbox" ? target.checked : target.value);
+      select.selectedOptions[0].text = `Light ${Number(select.value) + 1} (${
+        light.type
+      })`;
+    });
+  input("lightEnabled", (l, v) => (l.enabled = v), "change");
+  input("lightType", (l, v) => (l.type = v), "change");
+  input("lightX", (l, v) => (l.position[0] = Number(v)));
+  input("lightY", (l, v) => (l.position[1] = Number(v)));
+  input("lightZ", (l, v) => (l.position[2] = Number(v)));
+  input("lightColor", (l, v) => (l.color = hexToColor(v)));
+  input("lightCutoff", (l, v) => (l.cutoff = Number(v)));
+  input("lightFalloff", (l, v) => (l.attenuation[1] = Number(v)));
+  select.addEventListener("change", () => showLight());
+  document
+    .getElementById("shadingModel")
+    .addEventListener("change", (event) => {
+      shading.model = event.target.value;
+    });
+  document.getElementById("ambient").addEventListener("input", (event) => {
+    shading.ambient = Number(event.target.value);
+  });
+  document
+    .getElementById("lightMarkers")
+    .addEventListener("change", (event) => {
+      shading.markers = event.target.checked;
+    });
+  document.getElementById("shadowMode").addEventListener("change", (event) => {
+    shadows.mode = event.target.value;
+  });
+  document.getElementById("ground").addEventListener("change", (event) => {
+    shadows.ground = event.target.checked;
+  });
+  showLight();
+}
+
+/**
+ * Sets up the camera mode selector and the preset view buttons.
+ */
+function initCameraControls() {
+  document.getElementById("cameraMode").addEventListener("change", (event) => {
+    camera.setMode(event.target.value);
+  });
+  document
+    .querySelectorAll("[data-preset]")
+    .forEach((button) =>
+      button.addEventListener("click", () => camera.goTo(button.dataset.preset))
+    );
+}
+
+/**
+ * Sets up the projection type selector and the field of view slider.
+ */
+function initProjectionControls() {
+  var fov = document.getElementById("fov");
+  var label = document.getElementById("fovLabel");
+  document.getElementById("projection").addEventListener("change", (event) => {
+    projectionMode.type = event.target.value;
+  });
+  fov.addEventListener("input", () => {
+    projectionMode.fov = Number(fov.value);
+    label.textContent = `${fov.value}°`;
+    rotator.setFieldOfView(projectionMode.fov);
+    camera.fieldOfView = projectionMode.fov;
+  });
+}
+
+/**
+ * <p>Sets up the four views toggle.</p>
+ * The wheel over an orthographic view zooms all three of them, and a drag
+ * pans them, instead of moving the free view, so both are handled in the
+ * capture phase, before the rotator. A drag that picked a part or the target
+ * of the {@link ik} is left to them.
+ * @param {HTMLCanvasElement} canvas canvas element.
+ */
+function initLayoutControls(canvas) {
+  var viewport, prev, pointer;
+  document.getElementById("quadView").addEventListener("change", (event) => {
+    layout.quad = event.target.checked;
+  });
+  var orthoAt = (event) => {
+    if (!layout.quad || event.target !== canvas) return null;
+    var viewport = viewportAt(event, canvas);
+    return viewport && viewport.name !== "free" ? viewport : null;
+  };
+  var pan = (event) => {
+    // world units per pixel, along the axes of the view where the drag started
+    var box = canvas.getBoundingClientRect();
+    var s = (2 * layout.orthoSize) / (box.height * viewport.rect[3]);
+    var dx = s * (event.clientX - prev[0]);
+    var dy = s * (event.clientY - prev[1]);
+    prev = [event.clientX, event.clientY];
+    var e = viewport.view.elements;
+    var right = [e[0], e[4], e[8]];
+    var up = [e[1], e[5], e[9]];
+    layout.pan = layout.pan.map((c, i) => c + dy * up[i] - dx * right[i]);
+  };
+  window.addEventListener(
+    "wheel",
+    (event) => {
+      if (!orthoAt(event)) return;
+      event.preventDefault();
+      event.stopPropagation();
+      var scroll = event.deltaY * (event.deltaMode === 1 ? 20 : 1);
+      layout.orthoSize = Math.min(
+        100,
+        Math.max(2, layout.orthoSize * Math.exp(scroll * 0.002))
+      );
+    },
+    { capture: true, passive: false }
+  );
+  window.addEventListener(
+    "mousedown",
+    (event) => {
+      if (ik.dragging || picking.dragging) return;
+      viewport = orthoAt(event);
+      if (!viewport) return;
+      event.preventDefault();
+      event.stopPropagation();
+      prev = [event.clientX, event.clientY];
+    },
+    true
+  );
+  window.addEventListener("mousemove", (event) => {
+    if (prev && pointer === undefined) pan(event);
+  });
+  window.addEventListener("mouseup", () => {
+    if (pointer === undefined) prev = null;
+  });
+  // mice are handled by the mouse events, and touches by the pointer events
+  window.addEventListener(
+    "pointerdown",
+    (event) => {
+      if (event.pointerType === "mouse" || prev) return;
+      viewport = orthoAt(event);
+      if (!viewport) return;
+      event.preventDefault();
+      event.stopPropagation();
+      pointer = event.pointerId;
+      prev = [event.clientX, event.clientY];
+    },
+    true
+  );
+  window.addEventListener("pointermove", (event) => {
+    if (prev && event.pointerId === pointer) pan(event);
+  });
+  var release = (event) => {
+    if (event.pointerId !== pointer) return;
+    pointer = undefined;
+    prev = null;
+  };
+  window.addEventListener("pointerup", release);
+  window.addEventListener("pointercancel", release);
+}
+
+/**
+ * Sets up the check boxes that show or hide each of the {@link helpers}.
+ */
+function initHelperControls() {
+  ["grid", "worldAxes", "jointAxes"].forEach((name) => {
+    var checkbox = document.getElementById(name);
+    checkbox.checked = helpers[name];
+    checkbox.addEventListener("change", (event) => {
+      helpers[name] = event.target.checked;
+    });
+  });
+}
+
+/**
+ * Fills the material editor with the material of the chosen part.
+ */
+function showMaterial() {
+  var node = robot.find(document.getElementById("materialPart").value);
+  if (!node) return;
+  var m = node.material;
+  document.getElementById("diffuse").value = colorToHex(m.diffuse);
+  document.getElementById("alpha").value = m.diffuse[3];
+  document.getElementById("specular").value = colorToHex(m.specular);
+  document.getElementById("shininess").value = m.shininess;
+  document.getElementById("emissive").value = colorToHex(m.emissive);
+  document.getElementById("shape").value = node.shape;
+}
+
+/**
+ * Lists the parts of the current model in the material editor.
+ */
+function showMaterialParts() {
+  var select = document.getElementById("materialPart");
+  select.innerHTML = "";
+  (function add(node) {
+    select.add(new Option(node.name, node.name));
+    node.children.forEach(add);
+  })(robot);
+  showMaterial();
+}
+
+/**
+ * <p>Sets up the handlers of the material editor.</p>
+ * Changes apply immediately to the part chosen in the editor,
+ * which follows the part selected with the mouse.
+ */
+function initMaterialControls() {
+  var input = (id, update) =>
+    document.getElementById(id).addEventListener("input", (event) => {
+      var node = robot.find(document.getElementById("materialPart").value);
+      if (node) update(node.material, event.target.value);
+      resetSkin();
+    });
+  input("diffuse", (m, v) => m.diffuse.splice(0, 3, ...hexToColor(v)));
+  input("alpha", (m, v) => (m.diffuse[3] = Number(v)));
+  input("specular", (m, v) => (m.specular = hexToColor(v)));
+  input("shininess", (m, v) => (m.shininess = Number(v)));
+  input("emissive", (m, v) => (m.emissive = hexToColor(v)));
+  document
+    .getElementById("materialPart")
+    .addEventListener("change", () => showMaterial());
+  var shape = document.getElementById("shape");
+  Object.keys(meshes).forEach((name) => shape.add(new Option(name, name)));
+  shape.addEventListener("change", () => {
+    var node = robot.find(document.getElementById("materialPart").value);
+    if (node) node.shape = shape.value;
+    resetSkin();
+  });
+  document.getElementById("skinned").addEventListener("change", (event) => {
+    skinning.enabled = event.target.checked;
+  });
+  document.getElementById("meshFile").addEventListener("change", (event) => {
+    if (event.target.files.length > 0) importMeshes(event.target.files);
+    event.target.value = "";
+  });
+  document.getElementById("faceColors").addEventListener("change", (event) => {
+    faceColors = event.target.checked;
+  });
+  showMaterialParts();
+}
+
+/**
+ * <p>Imports meshes from Wavefront OBJ files, with their MTL files.</p>
+ * Each mesh is named after its file, replacing a previous import of the same
+ * file, and is given to the part chosen in the material editor, along with
+ * the first material it uses.
+ * @param {FileList} files OBJ and MTL files chosen by the user.
+ */
+function importMeshes(files) {
+  var texts = {};
+  var pending = files.length;
+  Array.from(files).forEach((file) => {
+    var reader = new FileReader();
+    reader.onload = () => {
+      texts[file.name] = reader.result;
+      if (--pending === 0) addMeshes(texts);
+    };
+    reader.readAsText(file);
+  });
+
+  function addMeshes(texts) {
+    var names = Object.keys(texts);
+    var materials = {};
+    names
+      .filter((name) => /\.mtl$/i.test(name))
+      .forEach((name) => Object.assign(materials, parseMTL(texts[name])));
+    var node = robot.find(document.getElementById("materialPart").value);
+    var select = document.getElementById("shape");
+    names
+      .filter((name) => /\.obj$/i.test(name))
+      .forEach((name) => {
+        var mesh;
+        try {
+          mesh = parseOBJ(texts[name], materials);
+        } catch (e) {
+          console.log(`Failed to parse ${name}: ${e.message}`);
+          return;
+        }
+        mesh.mtllib
+          .filter((lib) => !(lib in texts))
+          .forEach((lib) => console.log(`${name}: ${lib} was not chosen`));
+        var buffers = createMeshBuffers(mesh);
+        if (!buffers) return;
+        if (!(name in meshes)) select.add(new Option(name, name));
+        meshes[name] = mesh;
+        if (meshBuffers[name]) deleteMeshBuffers(meshBuffers[name]);
+        meshBuffers[name] = buffers;
+        if (node) {
+          node.shape = name;
+          var material = materials[mesh.materials[0]];
+          if (material) node.material = new Material(material);
+        }
+      });
+    resetSkin();
+    showMaterial();
+  }
+}
+
+/**
+ * Returns a color between the given one and white.
+ * @param {Array<Number>} color RGBA color.
+ * @param {Number} t fraction of white, in [0, 1].
+ * @return {Array<Number>} lighter color.
+ */
+function lighten(color, t) {
+  return color.map((c, i) => (i < 3 ? c + (1 - c) * t : c));
+}
+
+/**
+ * Creates the buffers on the GPU of a mesh.
+ * @param {Object} mesh one of the {@link meshes}.
+ * @return {?Object} handles to the buffers, as in {@link meshBuffers},
+ *    or null if they could not be created.
+ */
+function createMeshBuffers(mesh) {
+  var buffers = {
+    numVertices: mesh.numVertices,
+    indices: null,
+    numIndices: mesh.numIndices,
+    indexType:
+      mesh.indices instanceof Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT,
+  };
+  for (var key of [
+    "vertices",
+    "normals",
+    "colors",
+    "joints",
+    "weights",
+    "indices",
+  ]) {
+    if (!mesh[key]) continue;
+    var target = key === "indices" ? gl.ELEMENT_ARRAY_BUFFER : gl.ARRAY_BUFFER;
+    buffers[key] = gl.createBuffer();
+    if (!buffers[key]) {
+      console.log("Failed to create the buffer object");
+      return null;
+    }
+    gl.bindBuffer(target, buffers[key]);
+    gl.bufferData(target, mesh[key], gl.STATIC_DRAW);
+  }
+  gl.bindBuffer(gl.ARRAY_BUFFER, null);
+  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null);
+  return buffers;
+}
+
+/**
+ * Deletes the buffers on the GPU of a mesh.
+ * @param {Object} buffers handles to the buffers, as returned by
+ *    {@link createMeshBuffers}.
+ */
+function deleteMeshBuffers(buffers) {
+  for (var key of [
+    "vertices",
+    "normals",
+    "colors",
+    "joints",
+    "weights",
+    "indices",
+  ]) {
+    if (buffers[key]) gl.deleteBuffer(buffers[key]);
+  }
+}
+
+/**
+ * <p>Returns a batch of a shape from a set of batches, creating it if needed,
+ * or if the buffers of the shape were replaced since it was created.</p>
+ * A new batch keeps a copy of the material, since the material of a part
+ * may be edited, which moves the part to another batch, but must not
+ * change the parts left behind.
+ * @param {Map<String, {batch: InstanceBatch, material: Material}>} batches set of batches.
+ * @param {String} key key of the batch in the set.
+ * @param {Object} buffers buffers of the shape, as in {@link meshBuffers}.
+ * @param {Material} material material of the instances, apart from their colors.
+ * @return {InstanceBatch} batch.
+ */
+function batchOf(batches, key, buffers, material) {
+  var entry = batches.get(key);
+  if (!entry || entry.batch.buffers !== buffers) {
+    if (entry) entry.batch.dispose();
+    entry = {
+      batch: new InstanceBatch(gl, buffers),
+      material: new Material(material),
+    };
+    batches.set(key, entry);
+  }
+  return entry.batch;
+}
+
+/**
+ * Deletes the batches of a set that have no instances,
+ * such as those of shapes or materials no longer in use.
+ * @param {Map<String, {batch: InstanceBatch, material: Material}>} batches set of batches.
+ */
+function pruneBatches(batches) {
+  batches.forEach(({ batch }, key) => {
+    if (batch.count > 0) return;
+    batch.dispose();
+    batches.delete(key);
+  });
+}
+
+/**
+ * Draws the instances of a batch with a shader, which must be in use,
+ * and counts them in the {@link frameStats}.
+ * @param {InstanceBatch} batch batch to be drawn.
+ * @param {WebGLProgram} shader lighting or depth shader.
+ */
+function drawInstances(batch, shader) {
+  if (batch.count === 0) return;
+  batch.draw(shader);
+  frameStats.drawCalls++;
+  frameStats.instances += batch.count;
+}
+
+/**
+ * Passes a material to the lighting shader, which must be in use.
+ * Its diffuse color is not passed, since each instance has its own.
+ * @param {Material} material surface material.
+ * @param {Boolean} [vertexColors=faceColors] whether the vertex colors are used
+ *    instead of the colors of the instances.
+ */
+function setMaterialUniforms(material, vertexColors = faceColors) {
+  var uniform = (name) => uniformLocation(gl, lightingShader, name);
+  gl.uniform3fv(uniform("u_Specular"), material.specular);
+  gl.uniform1f(uniform("u_Shininess"), material.shininess);
+  gl.uniform3fv(uniform("u_Emissive"), material.emissive);
+  gl.uniform1i(uniform("u_FaceColors"), vertexColors);
+}
+
+/**
+ * <p>Helper function.</p>
+ * Renders a mesh based on the model transformation
+ * on top of the stack and the given local transformation,
+ * as a batch of a single instance.
+ * @param {Matrix4} matrixStack matrix on top of the stack;
+ * @param {Matrix4} matrixLocal local transformation.
+ * @param {Material} material surface material of the mesh.
+ * @param {String} [shape="cube"] name of the mesh, a key of {@link meshes}.
+ * @param {Boolean} [vertexColors=faceColors] whether the vertex colors are used
+ *    instead of the diffuse color of the material.
+ */
+function renderMesh(
+  matrixStack,
+  matrixLocal,
+  material,
+  shape = "cube",
+  vertexColors = faceColors
+) {
+  var batch = batchOf(meshBatches, shape, meshBuffers[shape], material);
+  batch.clear();
+  batch.add(
+    new Matrix4(matrixStack.top()).multiply(matrixLocal),
+    material.diffuse
+  );
+  gl.useProgram(lightingShader);
+  setMaterialUniforms(material, vertexColors);
+  drawInstances(batch, lightingShader);
+  gl.useProgram(null);
+}
+
+/**
+ * Discards the skin of the robot, which is rebuilt when next drawn.
+ */
+function resetSkin() {
+  if (skinning.buffers) deleteMeshBuffers(skinning.buffers);
+  if (skinning.batch) skinning.batch.dispose();
+  skinning.skin = null;
+  skinning.buffers = null;
+  skinning.batch = null;
+}
+
+/**
+ * Returns the skin of the robot, building it, its buffers and its batch if needed.
+ * @return {?Skin} skin, or null if it could not be built,
+ *    in which case skinning is turned off.
+ */
+function currentSkin() {
+  if (!skinning.skin) {
+    try {
+      skinning.skin = new Skin(robot, meshes);
+    } catch (e) {
+      console.log(`Failed to build the skin: ${e.message}`);
+      skinning.enabled = false;
+      document.getElementById("skinned").checked = false;
+      return null;
+    }
+    skinning.buffers = createMeshBuffers(skinning.skin);
+    skinning.batch = new InstanceBatch(gl, skinning.buffers);
+  }
+  return skinning.skin;
+}
+
+/**
+ * <p>Passes the bone matrices of a skin to a shader, which must be in use
+ * and then draw the skin batch.</p>
+ * Called with null, it turns skinning off in the shader.
+ * @param {WebGLProgram} shader shader with the skinning uniforms.
+ * @param {?Float32Array} bones bone matrices, as returned by
+ *    {@link Skin#boneMatrices}, or null.
+ */
+function bindSkin(shader, bones) {
+  gl.uniform1i(uniformLocation(gl, shader, "u_Skinned"), !!bones);
+  if (bones) {
+    gl.uniformMatrix4fv(uniformLocation(gl, shader, "u_Bones"), false, bones);
+  }
+}
+
+/**
+ * <p>Renders the skin of every robot collected for this frame,
+ * deformed by its pose.</p>
+ * Each robot has its own bones, so each takes a draw call.
+ * The diffuse color of each part is kept in the vertex colors,
+ * and the other material parameters are those of the root.
+ * @param {WebGLProgram} shader lighting or depth shader.
+ * @param {Matrix4} [transform] transformation applied after the model matrices,
+ *    as for shadows.
+ * @param {Material} [override] material used instead of the parts', as for shadows.
+ */
+function renderSkins(shader, transform = new Matrix4(), override) {
+  var material = override || robot.material;
+  gl.useProgram(shader);
+  if (shader === lightingShader) setMaterialUniforms(material, !override);
+  skinInstances.forEach(({ matrix, bones }) => {
+    bindSkin(shader, bones);
+    skinning.batch.clear();
+    skinning.batch.add(
+      new Matrix4(transform).multiply(matrix),
+      material.diffuse
+    );
+    drawInstances(skinning.batch, shader);
+  });
+  bindSkin(shader, null);
+  gl.useProgram(null);
+}
+
+/**
+ * Renders a set of batches of parts.
+ * @param {Map<String, {batch: InstanceBatch, material: Material}>} batches set of batches.
+ * @param {WebGLProgram} [shader=lightingShader] lighting shader, which uses
+ *    the material of each batch, or depth shader.
+ */
+function renderParts(batches, shader = lightingShader) {
+  gl.useProgram(shader);
+  batches.forEach(({ batch, material }) => {
+    if (shader === lightingShader) setMaterialUniforms(material);
+    drawInstances(batch, shader);
+  });
+  gl.useProgram(null);
+}
+
+/**
+ * Renders every robot collected for this frame, either as rigid parts or as skins.
+ */
+function renderRobots() {
+  if (skinning.enabled) renderSkins(lightingShader);
+  else renderParts(partBatches);
+}
+
+/**
+ * <p>Passes the view and projection, the enabled lights and the shading
+ * parameters to the shader.</p>
+ * Lights are taken to eye coordinates with the current view matrix,
+ * so it must be called for each viewport, after the view is updated.
+ */
+function setLightUniforms() {
+  var on = lights.filter((light) => light.enabled).slice(0, maxLights);
+  var uniform = (name) => uniformLocation(gl, lightingShader, name);
+  gl.useProgram(lightingShader);
+  gl.uniformMatrix4fv(uniform("view"), false, view.elements);
+  gl.uniformMatrix4fv(uniform("projection"), false, projection.elements);
+  gl.uniform1i(uniform("u_NumLights"), on.length);
+  gl.uniform1f(uniform("u_Ambient"), shading.ambient);
+  gl.uniform1i(uniform("u_Phong"), shading.model === "phong");
+  gl.uniform1i(uniform("u_ShadowMap"), shadows.mode === "map" && on.length > 0);
+  if (on.length > 0) {
+    // from clip coordinates of the light to texture coordinates and depth
+    var bias = new Matrix4().setTranslate(0.5, 0.5, 0.5).scale(0.5, 0.5, 0.5);
+    gl.uniformMatrix4fv(
+      uniform("u_LightMatrix"),
+      false,
+      bias.multiply(on[0].viewProjection()).elements
+    );
+  }
+  gl.uniform1i(uniform("u_ShadowTexture"), 1);
+  gl.uniform1f(uniform("u_ShadowTexel"), 1 / shadowMap.size);
+  on.forEach((light, i) => {
+    gl.uniform1i(uniform(`u_LightType[${i}]`), lightTypes.indexOf(light.type));
+    gl.uniform3fv(uniform(`u_LightPosition[${i}]`), light.eyePosition(view));
+    gl.uniform3fv(uniform(`u_LightDirection[${i}]`), light.eyeDirection(view));
+    gl.uniform3fv(uniform(`u_LightColor[${i}]`), light.color);
+    gl.uniform3fv(uniform(`u_LightAttenuation[${i}]`), light.attenuation);
+    gl.uniform1f(
+      uniform(`u_LightCutoff[${i}]`),
+      Math.cos((light.cutoff * Math.PI) / 180)
+    );
+    gl.uniform1f(uniform(`u_LightExponent[${i}]`), light.exponent);
+  });
+  gl.useProgram(null);
+}
+
+/**
+ * <p>Recursively adds a node and all of its descendants to a set of batches.</p>
+ * The node's joint matrix is composed with the model matrix of its parent,
+ * and its shape is added with the diffuse color of its material,
+ * highlighted if selected or under the mouse.
+ * @param {Map<String, {batch: InstanceBatch, material: Material}>} batches set of batches.
+ * @param {SceneNode} node subtree root.
+ * @param {Matrix4} parentMatrix model matrix of the parent.
+ * @param {Material} [override] material used for the whole subtree instead
+ *    of the nodes' own, as for shadows.
+ * @param {Boolean} [highlight=false] whether the selected and hovered parts
+ *    are highlighted.
+ */
+function addParts(batches, node, parentMatrix, override, highlight = false) {
+  var material = override || node.material;
+  var color = material.diffuse;
+  if (highlight && !override) {
+    if (node === picking.selected) color = yellow;
+    else if (node === picking.hovered) color = lighten(color, 0.4);
+  }
+  var key = [
+    node.shape,
+    material.specular,
+    material.shininess,
+    material.emissive,
+  ].join(" ");
+  var world = new Matrix4(parentMatrix).multiply(node.matrix);
+  batchOf(batches, key, meshBuffers[node.shape], material).add(
+    new Matrix4(world).multiply(node.localMatrix),
+    color
+  );
+  node.children.forEach((child) =>
+    addParts(batches, child, world, override, highlight)
+  );
+}
+
+/**
+ * Creates, or updates, the buffers of a set of lines.
+ * @param {Object<{numVertices: Number, vertices: Float32Array, colors: Float32Array}>} lines
+ *    line vertices with associated colors.
+ * @param {Object} [buffers] buffers to be updated, or undefined to create new ones.
+ * @return {{vertices: WebGLBuffer, colors: WebGLBuffer, numVertices: Number}} buffers.
+ */
+function lineBuffer(lines, buffers) {
+  var usage = buffers ? gl.DYNAMIC_DRAW : gl.STATIC_DRAW;
+  buffers = buffers || {
+    vertices: gl.createBuffer(),
+    colors: gl.createBuffer(),
+  };
+  buffers.numVertices = lines.numVertices;
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffers.vertices);
+  gl.bufferData(gl.ARRAY_BUFFER, lines.vertices, usage);
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffers.colors);
+  gl.bufferData(gl.ARRAY_BUFFER, lines.colors, usage);
+  gl.bindBuffer(gl.ARRAY_BUFFER, null);
+  return buffers;
+}
+
+/**
+ * <p>Renders a set of lines, without lighting.</p>
+ * Lines may fade away with their horizontal distance to the origin,
+ * which makes a finite grid look endless.
+ * @param {{vertices: WebGLBuffer, colors: WebGLBuffer, numVertices: Number}} buffers
+ *    line buffers.
+ * @param {Matrix4} matrix model transformation.
+ * @param {Number} [fade=0] distance where lines vanish, or 0 for no fading.
+ */
+function renderLines(buffers, matrix, fade = 0) {
+  gl.useProgram(lineShader);
+
+  var positionIndex = gl.getAttribLocation(lineShader, "a_Position");
+  var colorIndex = gl.getAttribLocation(lineShader, "a_Color");
+  gl.enableVertexAttribArray(positionIndex);
+  gl.enableVertexAttribArray(colorIndex);
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffers.vertices);
+  gl.vertexAttribPointer(positionIndex, 3, gl.FLOAT, false, 0, 0);
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffers.colors);
+  gl.vertexAttribPointer(colorIndex, 4, gl.FLOAT, false, 0, 0);
+
+  var uniform = (name) => uniformLocation(gl, lineShader, name);
+  gl.uniformMatrix4fv(uniform("model"), false, matrix.elements);
+  gl.uniformMatrix4fv(uniform("view"), false, view.elements);
+  gl.uniformMatrix4fv(uniform("projection"), false, projection.elements);
+  gl.uniform1f(uniform("u_Fade"), fade);
+
+  gl.drawArrays(gl.LINES, 0, buffers.numVertices);
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, null);
+  gl.useProgram(null);
+}
+
+/**
+ * <p>Returns the axes of every joint of a subtree.</p>
+ * Each joint gets the x, y and z axes of its node, as rotated by the joint,
+ * drawn from the pivot. A hinge also gets its rotation axis in yellow,
+ * through the pivot, since it need not be one of the three.
+ * @param {SceneNode} root subtree root.
+ * @param {Number} [length=1.5] length of the axes.
+ * @return {Object<{numVertices: Number, vertices: Float32Array, colors: Float32Array}>}
+ *    line vertices with associated colors, in root coordinates.
+ */
+function jointAxes(root, length = 1.5) {
+  var segments = [];
+  jointNodes(root).forEach((node) => {
+    var frame = node.worldMatrix().translate(...node.joint.pivot);
+    var pivot = transformPoint(frame, [0, 0, 0]);
+    axisColors.forEach((color, i) => {
+      var axis = [0, 0, 0];
+      axis[i] = 1;
+      var d = transformDirection(frame, axis);
+      var to = pivot.map((p, j) => p + length * d[j]);
+      segments.push({ from: pivot, to, color });
+    });
+    if (node.joint.type === "hinge") {
+      var a = jointFrame(node).axes[0];
+      segments.push({
+        from: pivot.map((p, j) => p - length * a[j]),
+        to: pivot.map((p, j) => p + length * a[j]),
+        color: yellow,
+      });
+    }
+  });
+  return makeLines(segments);
+}
+
+/**
+ * <p>Renders the depth of the robots, as seen from the first light
+ * that is on, into the shadow map.</p>
+ * Polygon offset pushes the stored depths back a little,
+ * so lit surfaces do not shadow themselves.
+ */
+function renderShadowMap() {
+  var light = lights.find((l) => l.enabled);
+  if (!light) return;
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, shadowMap.framebuffer);
+  gl.viewport(0, 0, shadowMap.size, shadowMap.size);
+  gl.clear(gl.DEPTH_BUFFER_BIT);
+  gl.enable(gl.POLYGON_OFFSET_FILL);
+  gl.polygonOffset(2, 4);
+
+  gl.useProgram(shadowMap.shader);
+  gl.uniformMatrix4fv(
+    uniformLocation(gl, shadowMap.shader, "u_LightMatrix"),
+    false,
+    light.viewProjection().elements
+  );
+  if (skinning.enabled) renderSkins(shadowMap.shader);
+  else renderParts(partBatches, shadowMap.shader);
+
+  gl.disable(gl.POLYGON_OFFSET_FILL);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+}
+
+/**
+ * Returns the projection onto the ground by the first light that is on.
+ * @return {?Matrix4} shadow matrix, or null if no light is on, or if it is
+ *    below the ground, which would project the robots upwards.
+ */
+function planarShadowMatrix() {
+  var light = lights.find((l) => l.enabled);
+  if (!light) return null;
+  var height = groundLevel + 0.01;
+  if (light.type === "directional") {
+    var d = light.position.map((p, i) => p - light.target[i]);
+    if (d[1] <= 0) return null;
+    return new Matrix4().dropShadowDirectionally(0, 1, 0, 0, height, 0, ...d);
+  }
+  if (light.position[1] <= height) return null;
+  return new Matrix4().dropShadow([0, 1, 0, -height], [...light.position, 1]);
+}
+
+/**
+ * Material of the planar shadows: a translucent black.
+ * @type {Material}
+ */
+var shadowMaterial = new Material({
+  diffuse: [0, 0, 0, 0.5],
+  specular: [0, 0, 0],
+});
+
+/**
+ * <p>Renders the shadows of the robots projected onto the ground
+ * by the first light that is on.</p>
+ * Shadows are flattened copies of the parts in {@link shadowMaterial}.
+ * The stencil buffer lets each pixel be darkened only once, where
+ * the copies overlap.
+ */
+function renderPlanarShadows() {
+  var shadow = planarShadowMatrix();
+  if (!shadow) return;
+  gl.enable(gl.STENCIL_TEST);
+  gl.stencilFunc(gl.EQUAL, 0, 0xff);
+  gl.stencilOp(gl.KEEP, gl.KEEP, gl.INCR);
+  gl.depthMask(false);
+  if (skinning.enabled) renderSkins(lightingShader, shadow, shadowMaterial);
+  else renderParts(shadowBatches);
+  gl.depthMask(true);
+  gl.disable(gl.STENCIL_TEST);
+}
+
+/**
+ * <p>Collects the robots to be drawn in this frame, which are then
+ * drawn by every pass and into every viewport.</p>
+ * The rigid parts of the robot, and of each member of the {@link crowd},
+ * posed in turn, are added to {@link partBatches}, and their flattened
+ * copies to {@link shadowBatches}. Skinned robots add their bone matrices
+ * to {@link skinInstances} instead. The robot gets its own pose back afterwards,
+ * and batches left empty are deleted.
+ */
+function collectInstances() {
+  partBatches.forEach(({ batch }) => batch.clear());
+  shadowBatches.forEach(({ batch }) => batch.clear());
+  skinInstances = [];
+  var skin = skinning.enabled && currentSkin();
+  var shadow =
+    shadows.ground && shadows.mode === "planar" && planarShadowMatrix();
+  var add = (matrix, highlight) => {
+    if (skin) {
+      skinInstances.push({ matrix, bones: skin.boneMatrices() });
+      return;
+    }
+    addParts(partBatches, robot, matrix, null, highlight);
+    if (shadow) {
+      var flat = new Matrix4(shadow).multiply(matrix);
+      addParts(shadowBatches, robot, flat, shadowMaterial);
+    }
+  };
+
+  add(new Matrix4().setTranslate(...rootTranslation), true);
+  if (crowd.enabled) {
+    var pose = getPose();
+    var rest = restPose();
+    crowd.members.forEach((member) => {
+      var gait = gaits[member.gait].sample(member.phase);
+      applyPose({ ...rest, ...gait.pose });
+      var position = member.position.map((p, i) => p + gait.translation[i]);
+      add(
+        new Matrix4().setTranslate(...position).rotate(member.yaw, 0, 1, 0),
+        false
+      );
+    });
+    applyPose(pose);
+  }
+  pruneBatches(partBatches);
+  pruneBatches(shadowBatches);
+}
+
+/**
+ * <p>Code to actually render our geometry.</p>
+ * The robots are collected, and the shadow map, which does not depend
+ * on the view, is rendered once, and then the scene is rendered into each
+ * viewport of the {@link layout}, with the scissor test restricting
+ * the clearing to the viewport.
+ */
+function draw() {
+  frameStats.drawCalls = 0;
+  frameStats.instances = 0;
+  collectInstances();
+  if (shadows.mode === "map") renderShadowMap();
+  resizeCanvas(gl.canvas);
+  var width = gl.canvas.width;
+  var height = gl.canvas.height;
+
+  viewports = layoutViewports();
+  // in four views, a dark background shows between the viewports
+  var gap = viewports.length > 1 ? 1 : 0;
+  if (gap) {
+    gl.clearColor(0.3, 0.3, 0.3, 1.0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.clearColor(0.9, 0.9, 0.9, 1.0);
+  }
+  gl.enable(gl.SCISSOR_TEST);
+  viewports.forEach((viewport) => {
+    var [x, y, w, h] = viewport.rect;
+    x = Math.round(x * width) + gap;
+    y = Math.round(y * height) + gap;
+    w = Math.round(w * width) - 2 * gap;
+    h = Math.round(h * height) - 2 * gap;
+    gl.viewport(x, y, w, h);
+    gl.scissor(x, y, w, h);
+    view = viewport.view;
+    projection = viewport.projection;
+    renderScene();
+  });
+  gl.disable(gl.SCISSOR_TEST);
+  gl.viewport(0, 0, width, height);
+
+  var labels = document.getElementById("viewLabels");
+  if (labels) labels.hidden = viewports.length === 1;
+}
+
+/**
+ * <p>Adds a frame to the {@link frameStats}, and shows them about twice
+ * a second.</p>
+ * The readout has the mean time between frames, and its frame rate,
+ * the mean time spent in {@link draw}, which is only the time to issue
+ * the commands, since the GPU runs them later, and the draw calls and
+ * instances of the last frame.
+ * @param {Number} now time of the frame, in milliseconds.
+ * @param {Number} frameTime time since the previous frame, in milliseconds.
+ * @param {Number} drawTime time spent drawing the frame, in milliseconds.
+ */
+function updateFrameStats(now, frameTime, drawTime) {
+  frameStats.frames++;
+  frameStats.frameTime += frameTime;
+  frameStats.drawTime += drawTime;
+  if (now - frameStats.since < 500) return;
+  var frame = frameStats.frameTime / frameStats.frames;
+  var drawing = frameStats.drawTime / frameStats.frames;
+  var readout = document.getElementById("frameTime");
+  if (readout) {
+    readout.textContent =
+      `⏱️ ${frame.toFixed(1)} ms per frame (${Math.round(1000 / frame)} fps),` +
+      ` ${drawing.toFixed(1)} ms to draw,` +
+      ` ${frameStats.drawCalls} draw calls,` +
+      ` ${frameStats.instances} instances`;
+  }
+  frameStats.frames = 0;
+  frameStats.frameTime = 0;
+  frameStats.drawTime = 0;
+  frameStats.since = now;
+}
+
+/**
+ * Renders the whole scene with the current {@link view} and {@link projection},
+ * into the current viewport.
+ */
+function renderScene() {
+  // clear the framebuffer
+  gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT | gl.STENCIL_BUFFER_BIT);
+
+  setLightUniforms();
+
+  // set up the matrix stack
+  var s = new Stack();
+  s.push(new Matrix4());
+
+  // small glowing cubes mark the positional lights
+  if (shading.markers) {
+    lights
+      .filter((light) => light.enabled && light.type !== "directional")
+      .forEach((light) =>
+        renderMesh(
+          s,
+          new Matrix4().setTranslate(...light.position).scale(0.4, 0.4, 0.4),
+          new Material({
+            diffuse: [0, 0, 0, 1],
+            specular: [0, 0, 0],
+            emissive: light.color,
+          })
+        )
+      );
+  }
+
+  if (shadows.ground) {
+    renderMesh(
+      s,
+      new Matrix4()
+        .setTranslate(0, groundLevel - 0.05, 0)
+        .scale(groundSize(), 0.1, groundSize()),
+      new Material({ diffuse: [0.75, 0.75, 0.7, 1], specular: [0.1, 0.1, 0.1] })
+    );
+    if (shadows.mode === "planar") renderPlanarShadows();
+  }
+  if (helpers.grid) {
+    renderLines(
+      lineBuffers.grid,
+      new Matrix4().setTranslate(0, groundLevel + 0.02, 0),
+      60
+    );
+  }
+
+  renderRobots();
+  s.push(new Matrix4(s.top()).translate(...rootTranslation));
+  if (ik.enabled) {
+    renderMesh(
+      s,
+      new Matrix4().setTranslate(...ik.target),
+      new Material({ diffuse: yellow })
+    );
+  }
   s.pop();
   s.pop();
 
+  // axes are drawn over everything, since most of them are inside the parts
+  gl.disable(gl.DEPTH_TEST);
+  if (helpers.worldAxes) renderLines(lineBuffers.worldAxes, new Matrix4());
+  if (helpers.jointAxes) {
+    lineBuffers.jointAxes = lineBuffer(jointAxes(robot), lineBuffers.jointAxes);
+    renderLines(
+      lineBuffers.jointAxes,
+      new Matrix4().setTranslate(...rootTranslation)
+    );
+  }
+  gl.enable(gl.DEPTH_TEST);
+
   if (!s.isEmpty()) {
     console.log("Warning: pops do not match pushes");
   }
@@ -831,11 +3000,49 @@ window.addEventListener("load", (event) => {
 
   rotator = new SimpleRotator(canvas);
   rotator.setView([0, 0, 1], [0, 1, 0], 40);
+  rotator.setDistanceLimits(5, 150);
+  camera = new Camera(canvas, rotator);
 
   // key handler
   window.onkeypress = handleKeyPress;
+  showKeyBindings();
+  showJointControls();
+  initTimelineControls();
+  initPoseControls();
+  initProceduralControls();
+  initCrowdControls();
+  initIKControls(canvas);
+  initMaterialControls();
+  initLightControls();
+  initHelperControls();
+  initCameraControls();
+  initProjectionControls();
+  initPickingControls(canvas);
+  initLayoutControls(canvas);
+
+  // model files, either picked or dropped onto the canvas
+  document.getElementById("modelFile").addEventListener("change", (event) => {
+    if (event.target.files.length > 0) loadModel(event.target.files[0]);
+    event.target.value = "";
+  });
+  document
+    .getElementById("exportModel")
+    .addEventListener("click", () => exportModel());
+  document
+    .getElementById("exportGLTF")
+    .addEventListener("click", () => exportScene("gltf"));
+  document
+    .getElementById("exportGLB")
+    .addEventListener("click", () => exportScene("glb"));
+  canvas.addEventListener("dragover", (event) => event.preventDefault());
+  canvas.addEventListener("drop", (event) => {
+    event.preventDefault();
+    if (event.dataTransfer.files.length > 0) {
+      loadModel(event.dataTransfer.files[0]);
+    }
+  });
 
-  gl = canvas.getContext("webgl2");
+  gl = canvas.getContext("webgl2", { stencil: true });
   if (!gl) {
     console.log("Failed to get the rendering context for WebGL");
     return;
@@ -855,37 +3062,99 @@ window.addEventListener("load", (event) => {
   lightingShader = gl.program;
   gl.useProgram(null);
 
-  // buffer for vertex positions for triangles
-  vertexBuffer = gl.createBuffer();
-  if (!vertexBuffer) {
-    console.log("Failed to create the buffer object");
+  // shader pair of the shadow map pass
+  shadowMap.shader = createProgram(
+    gl,
+    document.getElementById("vertexDepthShader").textContent,
+    document.getElementById("fragmentDepthShader").textContent
+  );
+  if (!shadowMap.shader) {
+    console.log("Failed to intialize the shadow map shaders.");
     return;
   }
-  gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, cube.vertices, gl.STATIC_DRAW);
 
-  // buffer for vertex normals
-  vertexNormalBuffer = gl.createBuffer();
-  if (!vertexNormalBuffer) {
-    console.log("Failed to create the buffer object");
+  // shader pair of lines
+  lineShader = createProgram(
+    gl,
+    document.getElementById("vertexLineShader").textContent,
+    document.getElementById("fragmentLineShader").textContent
+  );
+  if (!lineShader) {
+    console.log("Failed to intialize the line shaders.");
     return;
   }
-  gl.bindBuffer(gl.ARRAY_BUFFER, vertexNormalBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, cube.normals, gl.STATIC_DRAW);
 
-  // buffer is not needed anymore (not necessary, really)
-  gl.bindBuffer(gl.ARRAY_BUFFER, null);
+  // depth texture of the shadow map, which stays bound to texture unit 1
+  shadowMap.texture = gl.createTexture();
+  gl.activeTexture(gl.TEXTURE1);
+  gl.bindTexture(gl.TEXTURE_2D, shadowMap.texture);
+  gl.texImage2D(
+    gl.TEXTURE_2D,
+    0,
+    gl.DEPTH_COMPONENT24,
+    shadowMap.size,
+    shadowMap.size,
+    0,
+    gl.DEPTH_COMPONENT,
+    gl.UNSIGNED_INT,
+    null
+  );
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.activeTexture(gl.TEXTURE0);
+
+  shadowMap.framebuffer = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, shadowMap.framebuffer);
+  gl.framebufferTexture2D(
+    gl.FRAMEBUFFER,
+    gl.DEPTH_ATTACHMENT,
+    gl.TEXTURE_2D,
+    shadowMap.texture,
+    0
+  );
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+  // buffers for vertex positions, normals and colors of each mesh
+  for (var name in meshes) {
+    meshBuffers[name] = createMeshBuffers(meshes[name]);
+    if (!meshBuffers[name]) return;
+  }
+
+  // buffers of the helpers
+  lineBuffers.grid = lineBuffer(makeGrid());
+  lineBuffers.worldAxes = lineBuffer(makeAxes(5));
 
   // specify a fill color for clearing the framebuffer
   gl.clearColor(0.9, 0.9, 0.9, 1.0);
 
   gl.enable(gl.DEPTH_TEST);
 
+  // translucent materials
+  gl.enable(gl.BLEND);
+  gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+
   // define an animation loop
+  var lastTime = performance.now();
   var animate = function () {
+    var now = performance.now();
+    var dt = (now - lastTime) / 1000;
+    if (procedural.enabled) {
+      applyGait(dt);
+    } else if (timeline.playing) {
+      timeline.advance(dt);
+      applyTimeline();
+    }
+    if (crowd.enabled) advanceCrowd(dt);
+    lastTime = now;
+    camera.update(dt);
+    var start = performance.now();
     draw();
+    updateFrameStats(now, 1000 * dt, performance.now() - start);
     requestAnimationFrame(animate);
   };
+  frameStats.since = lastTime;
 
   // start drawing!
   animate();
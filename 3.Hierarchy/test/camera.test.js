@@ -0,0 +1,109 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>Tests of the trackball and of the camera moves to preset views.</p>
+ *
+ * The canvas and the window only need to accept event listeners,
+ * so both are stubs, and no event is ever sent.
+ *
+ * <p>Run from the repository root, with Node 20.19 or later:</p>
+ * <pre>
+ *   node --test 3.Hierarchy/test/
+ * </pre>
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ */
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { Camera } from "../utils/camera.js";
+import { SimpleRotator } from "../utils/simple-rotator.js";
+
+globalThis.window = globalThis.window || { addEventListener() {} };
+
+/**
+ * Returns a stand-in for a canvas, which ignores its listeners.
+ * @return {Object} canvas stub.
+ */
+function makeCanvas() {
+  return {
+    width: 600,
+    height: 400,
+    style: {},
+    addEventListener() {},
+  };
+}
+
+/**
+ * Asserts that two arrays of numbers are equal, up to a tolerance.
+ * @param {Array<Number>} actual computed values.
+ * @param {Array<Number>} expected expected values.
+ * @param {Number} [epsilon=1e-6] tolerance.
+ */
+function assertClose(actual, expected, epsilon = 1e-6) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((a, i) => {
+    assert.ok(
+      Math.abs(a - expected[i]) <= epsilon,
+      `[${Array.from(actual)}] != [${expected}] at ${i}`
+    );
+  });
+}
+
+describe("SimpleRotator", () => {
+  test("setCenter moves the point the view looks at", () => {
+    var rotator = new SimpleRotator(makeCanvas());
+    rotator.setView([0, 0, 1], [0, 1, 0], 40);
+    var point = [1, 2, 3];
+    rotator.setCenter(point);
+    assertClose(rotator.getCenter(), [1, 2, 3]);
+    point[0] = 5;
+    assertClose(rotator.getCenter(), [1, 2, 3]);
+    // the center is at the view distance in front of the eye
+    var m = rotator.getViewMatrixArray();
+    assertClose(m.slice(12, 15), [-1, -2, -3 - 40]);
+  });
+});
+
+describe("Camera", () => {
+  for (var [name, expected] of Object.entries({
+    front: { yaw: 0, pitch: 0 },
+    side: { yaw: 90, pitch: 0 },
+    top: { yaw: 0, pitch: 89 },
+    threeQuarter: { yaw: 45, pitch: 30 },
+  })) {
+    test(`a trackball move to the ${name} preset ends at it`, () => {
+      var rotator = new SimpleRotator(makeCanvas());
+      rotator.setView([1, 1, 1], [0, 1, 0], 25);
+      rotator.setCenter([3, 0, -2]);
+      var camera = new Camera(makeCanvas(), rotator);
+      camera.goTo(name, 0.5);
+      for (var i = 0; i < 60 && camera.transition; ++i) camera.update(1 / 60);
+      assert.equal(camera.transition, null);
+      var pose = camera.getPose();
+      assertClose(pose.center, [0, 0, 0]);
+      assertClose(
+        [pose.distance, pose.yaw, pose.pitch],
+        [40, expected.yaw, expected.pitch]
+      );
+    });
+  }
+
+  test("switching modes keeps the view", () => {
+    var rotator = new SimpleRotator(makeCanvas());
+    rotator.setView([0, 0, 1], [0, 1, 0], 30);
+    rotator.setCenter([1, 2, 3]);
+    var camera = new Camera(makeCanvas(), rotator);
+    var before = camera.getPose();
+    camera.setMode("turntable");
+    camera.setMode("trackball");
+    var after = camera.getPose();
+    assertClose(after.center, before.center);
+    assertClose(
+      [after.distance, after.yaw, after.pitch],
+      [before.distance, before.yaw, before.pitch]
+    );
+  });
+});
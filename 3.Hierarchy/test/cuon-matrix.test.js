@@ -0,0 +1,458 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>Tests of the cuon-matrix operations against gl-matrix.</p>
+ *
+ * Each {@link Matrix4}, {@link Vector3} and {@link Vector4} operation is
+ * compared with its gl-matrix equivalent on random inputs, and checked for
+ * the properties it must have: inverse · M = I, orthonormal view matrices,
+ * rotations that compose by adding their angles, and shadows on their plane.
+ * Inputs come from a seeded generator, so a failure is reproducible.
+ *
+ * <p>Run from the repository root, with Node 20.19 or later:</p>
+ * <pre>
+ *   node --test 3.Hierarchy/test/
+ * </pre>
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ */
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  Matrix4,
+  Vector3,
+  Vector4,
+  mat3,
+  mat4,
+  vec3,
+  vec4,
+} from "../utils/math.js";
+
+/**
+ * Number of random inputs of each test.
+ * @type {Number}
+ */
+var trials = 100;
+
+/**
+ * Returns a generator of uniform numbers in [0, 1) (mulberry32).
+ * @param {Number} seed 32-bit seed.
+ * @return {function(): Number} generator.
+ */
+function makeRandom(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    var t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+var random = makeRandom(2022);
+
+/**
+ * Returns a random number in [min, max).
+ * @param {Number} [min=-1] lower bound.
+ * @param {Number} [max=1] upper bound.
+ * @return {Number} random number.
+ */
+function uniform(min = -1, max = 1) {
+  return min + (max - min) * random();
+}
+
+/**
+ * Returns an array of random numbers in [min, max).
+ * @param {Number} n length.
+ * @param {Number} [min=-1] lower bound.
+ * @param {Number} [max=1] upper bound.
+ * @return {Array<Number>} random numbers.
+ */
+function uniforms(n, min = -1, max = 1) {
+  return Array.from({ length: n }, () => uniform(min, max));
+}
+
+/**
+ * Returns a random unit vector.
+ * @return {Array<Number>} unit vector.
+ */
+function randomDirection() {
+  var v;
+  do v = uniforms(3);
+  while (Math.hypot(...v) < 0.1);
+  var len = Math.hypot(...v);
+  return v.map((x) => x / len);
+}
+
+/**
+ * Returns a random invertible affine transformation.
+ * @return {Matrix4} translation · rotation · scale.
+ */
+function randomAffine() {
+  var scale = uniforms(3, 0.5, 2).map((s) => (random() < 0.5 ? -s : s));
+  return new Matrix4()
+    .setTranslate(...uniforms(3, -10, 10))
+    .rotate(uniform(-180, 180), ...randomDirection())
+    .scale(...scale);
+}
+
+/**
+ * Returns a matrix with random elements.
+ * @return {Matrix4} a new matrix.
+ */
+function randomMatrix() {
+  var m = new Matrix4();
+  m.elements.set(uniforms(16));
+  return m;
+}
+
+/**
+ * Asserts that two arrays of numbers are equal, up to single precision.
+ * @param {ArrayLike<Number>} actual computed values.
+ * @param {ArrayLike<Number>} expected expected values.
+ * @param {Number} [tolerance=1e-5] largest difference, relative to
+ *    the magnitude of the expected values when they exceed 1.
+ */
+function assertClose(actual, expected, tolerance = 1e-5) {
+  assert.equal(actual.length, expected.length, "lengths differ");
+  var scale = Math.max(1, ...Array.from(expected, Math.abs));
+  for (var i = 0; i < expected.length; ++i) {
+    var d = Math.abs(actual[i] - expected[i]);
+    assert.ok(
+      d <= tolerance * scale,
+      `element ${i}: ${actual[i]} != ${expected[i]}\n` +
+        `actual:   [${Array.from(actual).join(", ")}]\n` +
+        `expected: [${Array.from(expected).join(", ")}]`
+    );
+  }
+}
+
+/**
+ * Returns a radian measure of an angle in degrees.
+ * @param {Number} angle angle in degrees.
+ * @return {Number} angle in radians.
+ */
+function toRadian(angle) {
+  return (angle * Math.PI) / 180;
+}
+
+var identity = mat4.create();
+
+describe("Matrix4", () => {
+  test("is the identity when created, and copies another matrix", () => {
+    assertClose(new Matrix4().elements, identity);
+    var m = randomMatrix();
+    var copy = new Matrix4(m);
+    assert.notEqual(copy.elements, m.elements);
+    assertClose(copy.elements, m.elements);
+    assertClose(randomMatrix().setIdentity().elements, identity);
+    assertClose(new Matrix4().set(m).elements, m.elements);
+  });
+
+  test("multiply is mat4.multiply, also by itself", () => {
+    for (var k = 0; k < trials; ++k) {
+      var a = randomMatrix();
+      var b = randomMatrix();
+      var expected = mat4.multiply(mat4.create(), a.elements, b.elements);
+      assertClose(new Matrix4(a).multiply(b).elements, expected);
+      assertClose(new Matrix4(a).concat(b).elements, expected);
+      var square = mat4.multiply(mat4.create(), a.elements, a.elements);
+      assertClose(a.multiply(a).elements, square);
+    }
+  });
+
+  test("multiplyVector4 is vec4.transformMat4", () => {
+    for (var k = 0; k < trials; ++k) {
+      var m = randomMatrix();
+      var p = uniforms(4, -10, 10);
+      var v = m.multiplyVector4(new Vector4(p));
+      assert.ok(v instanceof Vector4);
+      assertClose(v.elements, vec4.transformMat4(vec4.create(), p, m.elements));
+    }
+  });
+
+  test("multiplyVector3 transforms a point, translation included", () => {
+    for (var k = 0; k < trials; ++k) {
+      var m = randomAffine();
+      var p = uniforms(3, -10, 10);
+      var v = m.multiplyVector3(new Vector3(p));
+      assert.ok(v instanceof Vector3);
+      assertClose(v.elements, vec3.transformMat4(vec3.create(), p, m.elements));
+    }
+  });
+
+  test("transpose is mat4.transpose", () => {
+    for (var k = 0; k < trials; ++k) {
+      var m = randomMatrix();
+      var expected = mat4.transpose(mat4.create(), m.elements);
+      assertClose(new Matrix4(m).transpose().elements, expected);
+    }
+  });
+
+  test("setInverseOf is mat4.invert, and inverse · M = I", () => {
+    for (var k = 0; k < trials; ++k) {
+      var m = random() < 0.5 ? randomAffine() : randomMatrix();
+      var expected = mat4.invert(mat4.create(), m.elements);
+      var inverse = new Matrix4().setInverseOf(m);
+      assertClose(inverse.elements, expected, 1e-3);
+      assertClose(new Matrix4(inverse).multiply(m).elements, identity, 1e-3);
+      assertClose(new Matrix4(m).multiply(inverse).elements, identity, 1e-3);
+      assertClose(new Matrix4(m).invert().elements, inverse.elements);
+    }
+  });
+
+  test("invert leaves a singular matrix unchanged", () => {
+    // exactly singular: a zero scale, and a column repeating another
+    var flat = new Matrix4().setScale(2, 0, 3);
+    var repeated = new Matrix4();
+    repeated.elements.set([1, 2, 3, 0, 4, 5, 6, 0, 1, 2, 3, 0, 7, 8, 9, 1]);
+    for (var m of [flat, repeated]) {
+      assert.equal(mat4.invert(mat4.create(), m.elements), null);
+      var before = Array.from(m.elements);
+      assert.equal(m.invert(), m);
+      assert.deepEqual(Array.from(m.elements), before);
+      var target = randomMatrix();
+      var previous = Array.from(target.elements);
+      assert.equal(target.setInverseOf(m), target);
+      assert.deepEqual(Array.from(target.elements), previous);
+    }
+  });
+
+  test("setOrtho is mat4.ortho", () => {
+    for (var k = 0; k < trials; ++k) {
+      var [left, bottom, near] = uniforms(3, -10, 0);
+      var [right, top, far] = uniforms(3, 1, 10);
+      assertClose(
+        new Matrix4().setOrtho(left, right, bottom, top, near, far).elements,
+        mat4.ortho(mat4.create(), left, right, bottom, top, near, far)
+      );
+    }
+    assert.throws(() => new Matrix4().setOrtho(1, 1, 0, 1, 0, 1));
+  });
+
+  test("setFrustum is mat4.frustum", () => {
+    for (var k = 0; k < trials; ++k) {
+      var [left, bottom] = uniforms(2, -10, 0);
+      var [right, top] = uniforms(2, 1, 10);
+      var near = uniform(0.1, 1);
+      var far = uniform(2, 100);
+      assertClose(
+        new Matrix4().setFrustum(left, right, bottom, top, near, far).elements,
+        mat4.frustum(mat4.create(), left, right, bottom, top, near, far)
+      );
+    }
+    assert.throws(() => new Matrix4().setFrustum(-1, 1, -1, 1, 0, 1));
+  });
+
+  test("setPerspective is mat4.perspective", () => {
+    for (var k = 0; k < trials; ++k) {
+      var fovy = uniform(10, 120);
+      var aspect = uniform(0.5, 2);
+      var near = uniform(0.1, 1);
+      var far = uniform(2, 100);
+      var m = new Matrix4().setPerspective(fovy, aspect, near, far);
+      assertClose(
+        m.elements,
+        mat4.perspective(mat4.create(), toRadian(fovy), aspect, near, far)
+      );
+      // the near and far planes go to -1 and 1 in normalized coordinates
+      for (var [z, ndc] of [
+        [-near, -1],
+        [-far, 1],
+      ]) {
+        var v = m.multiplyVector4(new Vector4([0, 0, z, 1])).elements;
+        assert.ok(Math.abs(v[2] / v[3] - ndc) < 1e-4);
+      }
+    }
+    assert.throws(() => new Matrix4().setPerspective(45, 1, 0, 10));
+    assert.throws(() => new Matrix4().setPerspective(45, 0, 1, 10));
+  });
+
+  test("setScale and setTranslate are mat4.fromScaling and mat4.fromTranslation", () => {
+    for (var k = 0; k < trials; ++k) {
+      var v = uniforms(3, -10, 10);
+      assertClose(
+        new Matrix4().setScale(...v).elements,
+        mat4.fromScaling(mat4.create(), v)
+      );
+      assertClose(
+        new Matrix4().setTranslate(...v).elements,
+        mat4.fromTranslation(mat4.create(), v)
+      );
+    }
+  });
+
+  test("scale, translate and rotate multiply on the right", () => {
+    for (var k = 0; k < trials; ++k) {
+      var m = randomMatrix();
+      var v = uniforms(3, -10, 10);
+      var angle = uniform(-360, 360);
+      var axis = randomDirection();
+      assertClose(
+        new Matrix4(m).scale(...v).elements,
+        mat4.scale(mat4.create(), m.elements, v)
+      );
+      assertClose(
+        new Matrix4(m).translate(...v).elements,
+        mat4.translate(mat4.create(), m.elements, v)
+      );
+      assertClose(
+        new Matrix4(m).rotate(angle, ...axis).elements,
+        mat4.rotate(mat4.create(), m.elements, toRadian(angle), axis)
+      );
+    }
+  });
+
+  test("setRotate is mat4.fromRotation, for any axis length", () => {
+    for (var k = 0; k < trials; ++k) {
+      var angle = uniform(-360, 360);
+      var axis = randomDirection();
+      var length = uniform(0.1, 10);
+      var expected = mat4.fromRotation(mat4.create(), toRadian(angle), axis);
+      assertClose(
+        new Matrix4().setRotate(angle, ...axis.map((x) => x * length)).elements,
+        expected
+      );
+    }
+    // the coordinate axes have their own branches
+    for (var axis of [
+      [2, 0, 0],
+      [0, -3, 0],
+      [0, 0, 0.5],
+    ]) {
+      var angle = uniform(-360, 360);
+      assertClose(
+        new Matrix4().setRotate(angle, ...axis).elements,
+        mat4.fromRotation(mat4.create(), toRadian(angle), axis)
+      );
+    }
+  });
+
+  test("rotations about an axis compose by adding their angles", () => {
+    for (var k = 0; k < trials; ++k) {
+      var a = uniform(-180, 180);
+      var b = uniform(-180, 180);
+      var axis = randomDirection();
+      var composed = new Matrix4().setRotate(a, ...axis).rotate(b, ...axis);
+      assertClose(
+        composed.elements,
+        new Matrix4().setRotate(a + b, ...axis).elements
+      );
+      // a rotation is orthogonal, with determinant 1
+      var r = composed.elements;
+      var product = new Matrix4(composed).transpose().multiply(composed);
+      assertClose(product.elements, identity);
+      assert.ok(Math.abs(mat4.determinant(r) - 1) < 1e-5);
+      // and its inverse is the opposite rotation
+      assertClose(
+        new Matrix4(composed).invert().elements,
+        new Matrix4().setRotate(-(a + b), ...axis).elements
+      );
+    }
+  });
+
+  test("setLookAt is mat4.lookAt, and orthonormal", () => {
+    for (var k = 0; k < trials; ++k) {
+      var eye = uniforms(3, -10, 10);
+      var center = uniforms(3, -10, 10);
+      var up = randomDirection();
+      var m = new Matrix4().setLookAt(...eye, ...center, ...up);
+      assertClose(
+        m.elements,
+        mat4.lookAt(mat4.create(), eye, center, up),
+        1e-4
+      );
+      // the rotation part is orthonormal, with determinant 1
+      var r = mat3.fromMat4(mat3.create(), m.elements);
+      var rt = mat3.transpose(mat3.create(), r);
+      assertClose(mat3.multiply(mat3.create(), rt, r), mat3.create(), 1e-5);
+      assert.ok(Math.abs(mat3.determinant(r) - 1) < 1e-5);
+      // the eye goes to the origin, and the center to the negative z axis
+      assertClose(
+        m.multiplyVector4(new Vector4([...eye, 1])).elements,
+        [0, 0, 0, 1],
+        1e-4
+      );
+      var c = m.multiplyVector4(new Vector4([...center, 1])).elements;
+      var distance = Math.hypot(...center.map((x, i) => x - eye[i]));
+      assertClose(c, [0, 0, -distance, 1], 1e-4);
+      // lookAt multiplies on the right
+      var a = randomMatrix();
+      assertClose(
+        new Matrix4(a).lookAt(...eye, ...center, ...up).elements,
+        mat4.multiply(mat4.create(), a.elements, m.elements)
+      );
+    }
+  });
+
+  test("dropShadow projects points onto the plane along the light rays", () => {
+    for (var k = 0; k < trials; ++k) {
+      var normal = randomDirection();
+      var plane = [...normal, uniform(-2, 2)];
+      var point = (p) => vec4.dot(plane, [...p, 1]);
+      // a point above the plane, and a light further above it
+      var x = uniforms(3, -5, 5);
+      var onPlane = vec3.scaleAndAdd(vec3.create(), x, normal, -point(x));
+      var p = vec3.scaleAndAdd(vec3.create(), onPlane, normal, uniform(0.5, 2));
+      var up = randomDirection();
+      if (vec3.dot(up, normal) < 0) vec3.negate(up, up);
+      vec3.normalize(up, vec3.scaleAndAdd(up, up, normal, 0.5));
+      var light = vec3.scaleAndAdd(vec3.create(), p, up, uniform(1, 5));
+      var m = new Matrix4().dropShadow(plane, [...light, 1]);
+      var s = m.multiplyVector4(new Vector4([...p, 1])).elements;
+      var shadow = [s[0] / s[3], s[1] / s[3], s[2] / s[3]];
+      assert.ok(Math.abs(point(shadow)) < 1e-3, "shadow off the plane");
+      // the light, the point and its shadow are on a line
+      var toPoint = vec3.subtract(vec3.create(), p, light);
+      var toShadow = vec3.subtract(vec3.create(), shadow, light);
+      var cross = vec3.cross(vec3.create(), toPoint, toShadow);
+      assert.ok(vec3.length(cross) < 1e-3 * vec3.length(toShadow) ** 2);
+    }
+  });
+
+  test("dropShadowDirectionally projects along parallel rays", () => {
+    for (var k = 0; k < trials; ++k) {
+      var normal = randomDirection();
+      var onPlane = uniforms(3, -5, 5);
+      var light = randomDirection();
+      if (Math.abs(vec3.dot(normal, light)) < 0.2) continue;
+      var m = new Matrix4().dropShadowDirectionally(
+        ...normal.map((x) => 2 * x),
+        ...onPlane,
+        ...light
+      );
+      var p = uniforms(3, -5, 5);
+      var s = m.multiplyVector4(new Vector4([...p, 1])).elements;
+      var shadow = [s[0] / s[3], s[1] / s[3], s[2] / s[3]];
+      var height = vec3.dot(
+        normal,
+        vec3.subtract(vec3.create(), shadow, onPlane)
+      );
+      assert.ok(Math.abs(height) < 1e-3, "shadow off the plane");
+      var ray = vec3.subtract(vec3.create(), shadow, p);
+      assert.ok(vec3.length(vec3.cross(vec3.create(), ray, light)) < 1e-3);
+    }
+  });
+});
+
+describe("Vector3 and Vector4", () => {
+  test("copy their source", () => {
+    var p = uniforms(4);
+    assertClose(new Vector3(p).elements, p.slice(0, 3));
+    assertClose(new Vector4(p).elements, p);
+    assertClose(new Vector3().elements, [0, 0, 0]);
+    assertClose(new Vector4().elements, [0, 0, 0, 0]);
+  });
+
+  test("normalize is vec3.normalize", () => {
+    for (var k = 0; k < trials; ++k) {
+      var v = uniforms(3, -10, 10);
+      var n = new Vector3(v).normalize();
+      assert.ok(n instanceof Vector3);
+      assertClose(n.elements, vec3.normalize(vec3.create(), v));
+    }
+    assertClose(new Vector3([0, 0, 0]).normalize().elements, [0, 0, 0]);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>Tests of the bone matrices of a skin.</p>
+ *
+ * A skinned vertex must follow its bone just as the rigid part would,
+ * so the skinning matrix of each bone, applied to the bind pose, must give
+ * the current world matrix of its node, whatever the joints do.
+ * The nodes are a minimal version of the scene graph of Hierarchy.js.
+ *
+ * <p>Run from the repository root, with Node 20.19 or later:</p>
+ * <pre>
+ *   node --test 3.Hierarchy/test/
+ * </pre>
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ */
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { Joint } from "../utils/joint.js";
+import { Matrix4, transformPoint } from "../utils/math.js";
+import { Skin } from "../utils/skin.js";
+
+/**
+ * A scene graph node, with the joint and matrices a {@link Skin} reads.
+ * @class
+ */
+class Node {
+  /**
+   * Constructor.
+   * @param {String} name node name.
+   * @param {Object} description node geometry.
+   * @param {Array<Number>} [description.offset=[0,0,0]] translation relative to the parent node.
+   * @param {Object} [description.joint] parameters of the {@link Joint}.
+   * @param {Array<Number>} [description.scale=[1,1,1]] size of the box.
+   * @param {Array<Node>} [children=[]] child nodes.
+   */
+  constructor(
+    name,
+    { offset = [0, 0, 0], joint, scale = [1, 1, 1] },
+    children = []
+  ) {
+    this.name = name;
+    this.offset = offset;
+    this.joint = joint ? new Joint(joint) : null;
+    this.scale = scale;
+    this.shape = "cube";
+    this.material = { diffuse: [0.5, 0, 0.6, 1] };
+    this.children = children;
+    this.parent = null;
+    children.forEach((child) => (child.parent = this));
+    this.matrix = new Matrix4();
+    this.localMatrix = new Matrix4().setScale(...scale);
+    this.updateMatrix();
+  }
+
+  updateMatrix() {
+    this.matrix.setTranslate(...this.offset);
+    if (this.joint) this.joint.applyTo(this.matrix);
+  }
+
+  worldMatrix() {
+    var m = this.parent ? this.parent.worldMatrix() : new Matrix4();
+    return m.multiply(this.matrix);
+  }
+}
+
+/**
+ * Returns a torso turning about y, with an arm bending at the shoulder
+ * and a hand at the end of the arm.
+ * @return {Node} root of the model.
+ */
+function makeModel() {
+  return new Node("torso", { joint: { axis: [0, 1, 0] }, scale: [10, 10, 5] }, [
+    new Node(
+      "arm",
+      {
+        offset: [6, 0, 0],
+        joint: { type: "ball", pivot: [-1, 0, 0] },
+        scale: [2, 4, 2],
+      },
+      [
+        new Node("hand", {
+          offset: [0, -3, 0],
+          joint: { axis: [1, 0, 0] },
+          scale: [1, 1, 1],
+        }),
+      ]
+    ),
+  ]);
+}
+
+/**
+ * Asserts that two arrays of numbers are equal, up to a tolerance.
+ * @param {ArrayLike<Number>} actual computed values.
+ * @param {ArrayLike<Number>} expected expected values.
+ * @param {Number} [epsilon=1e-4] tolerance.
+ */
+function assertClose(actual, expected, epsilon = 1e-4) {
+  assert.equal(actual.length, expected.length);
+  Array.from(actual).forEach((a, i) => {
+    assert.ok(
+      Math.abs(a - expected[i]) <= epsilon,
+      `[${Array.from(actual)}] != [${Array.from(expected)}] at ${i}`
+    );
+  });
+}
+
+/**
+ * Sets the angles of a node and updates its matrix.
+ * @param {Node} node node with a joint.
+ * @param {Array<Number>} angles angles in degrees.
+ */
+function pose(node, angles) {
+  node.joint.setAngles(angles);
+  node.updateMatrix();
+}
+
+describe("Skin", () => {
+  test("boneWorld is the world matrix of the node", () => {
+    var root = makeModel();
+    var skin = new Skin(root, {});
+    pose(root, [90]);
+    pose(root.children[0], [20, -30, 45]);
+    pose(root.children[0].children[0], [60]);
+    skin.bones.forEach((node) => {
+      assertClose(skin.boneWorld(node).elements, node.worldMatrix().elements);
+    });
+  });
+
+  test("bone matrices take the bind pose to the current pose", () => {
+    var root = makeModel();
+    var skin = new Skin(root, {});
+    var bind = skin.bones.map((node) => node.worldMatrix());
+    pose(root, [90]);
+    pose(root.children[0], [-40, 10, 30]);
+    pose(root.children[0].children[0], [-75]);
+    var bones = skin.boneMatrices();
+    skin.bones.forEach((node, i) => {
+      var m = new Matrix4();
+      m.elements.set(bones.subarray(16 * i, 16 * i + 16));
+      assertClose(m.multiply(bind[i]).elements, node.worldMatrix().elements);
+    });
+  });
+
+  test("a skinned part moves around a turning root", () => {
+    var root = makeModel();
+    var skin = new Skin(root, {});
+    var arm = skin.bones.indexOf(root.children[0]);
+    pose(root, [90]);
+    var m = new Matrix4();
+    m.elements.set(skin.boneMatrices().subarray(16 * arm, 16 * arm + 16));
+    // the center of the arm, at (6, 0, 0) in the bind pose
+    assertClose(transformPoint(m, [6, 0, 0]), [0, 0, -6]);
+    assertClose(
+      transformPoint(root.children[0].worldMatrix(), [0, 0, 0]),
+      [0, 0, -6]
+    );
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>Tests of the keyframes of a timeline.</p>
+ *
+ * <p>Run from the repository root, with Node 20.19 or later:</p>
+ * <pre>
+ *   node --test 3.Hierarchy/test/
+ * </pre>
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ */
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { Timeline } from "../utils/timeline.js";
+
+describe("Timeline", () => {
+  test("a shorter duration removes the keyframes past its end", () => {
+    var timeline = new Timeline(4);
+    timeline.addKeyframe(0, { arm: [0] });
+    timeline.addKeyframe(2, { arm: [45] });
+    timeline.addKeyframe(3.5, { arm: [90] });
+    timeline.time = 3;
+    timeline.setDuration(2);
+    assert.deepEqual(
+      timeline.keyframes.map((k) => k.time),
+      [0, 2]
+    );
+    assert.equal(timeline.duration, 2);
+    assert.equal(timeline.time, 2);
+    assert.deepEqual(timeline.sample(2), { arm: [45] });
+  });
+
+  test("a longer duration keeps every keyframe", () => {
+    var timeline = new Timeline(4);
+    timeline.addKeyframe(1, { arm: [0] });
+    timeline.addKeyframe(4, { arm: [90] });
+    timeline.time = 4;
+    timeline.setDuration(6);
+    assert.equal(timeline.keyframes.length, 2);
+    assert.equal(timeline.time, 4);
+  });
+});
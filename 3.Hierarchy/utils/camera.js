@@ -0,0 +1,367 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>Camera with switchable navigation modes and preset views.</p>
+ *
+ * The camera is described by a pose: the point it looks at, its distance
+ * to that point, and the direction it looks from, as a yaw about the y axis,
+ * measured from +z towards +x, and a pitch above the xz plane, in degrees.
+ * The up vector is always y, except in trackball mode.
+ *
+ * <ul>
+ *   <li>trackball: free rotation with a {@link SimpleRotator};</li>
+ *   <li>turntable: dragging changes the yaw and the pitch about the center,
+ *   so the ground stays level;</li>
+ *   <li>fly: W, A, S and D move forwards, left, backwards and right,
+ *   Q and E move down and up, and dragging looks around.</li>
+ * </ul>
+ *
+ * In turntable and fly modes, the right or middle button pans
+ * and the wheel zooms or moves forwards.
+ * Presets are reached by interpolating the pose, so the camera orbits
+ * smoothly to them, whatever the mode.
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ */
+
+import { Matrix4 } from "./math.js";
+import { easings } from "./timeline.js";
+
+/**
+ * Preset views, as yaw and pitch in degrees.
+ * A top view is slightly tilted, since the up vector cannot be the view direction.
+ * @type {Object<String, {yaw: Number, pitch: Number}>}
+ */
+var cameraPresets = {
+  front: { yaw: 0, pitch: 0 },
+  side: { yaw: 90, pitch: 0 },
+  top: { yaw: 0, pitch: 89 },
+  threeQuarter: { yaw: 45, pitch: 30 },
+};
+
+/**
+ * Keys that move the fly camera, with their direction as
+ * [right, up, forward] components.
+ * @type {Object<String, Array<Number>>}
+ */
+export var flyKeys = {
+  w: [0, 0, 1],
+  s: [0, 0, -1],
+  a: [-1, 0, 0],
+  d: [1, 0, 0],
+  q: [0, -1, 0],
+  e: [0, 1, 0],
+};
+
+/**
+ * A camera with trackball, turntable and fly modes.
+ * @class
+ */
+export class Camera {
+  /**
+   * Constructor. Sets up mouse and keyboard handlers on the canvas,
+   * which do nothing in trackball mode, where the rotator is in charge.
+   * @constructs Camera
+   * @param {HTMLCanvasElement} canvas canvas element.
+   * @param {SimpleRotator} rotator rotator used in trackball mode.
+   * @param {Object} [options] camera parameters.
+   * @param {Number} [options.minDistance=5] minimum distance to the center.
+   * @param {Number} [options.maxDistance=150] maximum distance to the center.
+   * @param {Number} [options.speed=10] fly speed, in units per second.
+   */
+  constructor(
+    canvas,
+    rotator,
+    { minDistance = 5, maxDistance = 150, speed = 10 } = {}
+  ) {
+    /** Canvas element. */
+    this.canvas = canvas;
+    /** Rotator used in trackball mode. */
+    this.rotator = rotator;
+    /** Navigation mode: "trackball", "turntable" or "fly". */
+    this.mode = "trackball";
+    /** Current pose, kept up to date in turntable and fly modes. */
+    this.pose = { center: [0, 0, 0], distance: 40, yaw: 0, pitch: 0 };
+    /** Minimum distance to the center. */
+    this.minDistance = minDistance;
+    /** Maximum distance to the center. */
+    this.maxDistance = maxDistance;
+    /** Fly speed, in units per second. */
+    this.speed = speed;
+    /** Vertical field of view of the projection, in degrees, for panning. */
+    this.fieldOfView = 45;
+    /** Animated move to a preset, or null. */
+    this.transition = null;
+    /** Keys currently held down. */
+    this.keys = new Set();
+    this.listen();
+  }
+
+  /**
+   * Returns the unit vector from the center towards the eye.
+   * @param {Number} yaw yaw in degrees.
+   * @param {Number} pitch pitch in degrees.
+   * @return {Array<Number>} direction.
+   */
+  static direction(yaw, pitch) {
+    var y = (yaw * Math.PI) / 180;
+    var p = (pitch * Math.PI) / 180;
+    return [Math.cos(p) * Math.sin(y), Math.sin(p), Math.cos(p) * Math.cos(y)];
+  }
+
+  /**
+   * Returns the position of the eye of a pose.
+   * @param {{center: Array<Number>, distance: Number, yaw: Number, pitch: Number}} pose
+   *    camera pose.
+   * @return {Array<Number>} eye position.
+   */
+  static eye({ center, distance, yaw, pitch }) {
+    var d = Camera.direction(yaw, pitch);
+    return center.map((c, i) => c + distance * d[i]);
+  }
+
+  /**
+   * Returns the pose of the trackball, ignoring its roll.
+   * @return {{center: Array<Number>, distance: Number, yaw: Number, pitch: Number}}
+   *    camera pose.
+   */
+  trackballPose() {
+    var m = this.rotator.getViewMatrix();
+    // the third row of the view matrix is the direction towards the eye
+    var z = [m[2], m[6], m[10]];
+    return {
+      center: this.rotator.getCenter(),
+      distance: this.rotator.getViewDistance(),
+      yaw: (Math.atan2(z[0], z[2]) * 180) / Math.PI,
+      pitch: (Math.asin(Math.max(-1, Math.min(1, z[1]))) * 180) / Math.PI,
+    };
+  }
+
+  /**
+   * Changes the current pose, in any mode.
+   * @param {{center: Array<Number>, distance: Number, yaw: Number, pitch: Number}} pose
+   *    camera pose.
+   */
+  setPose(pose) {
+    this.pose = {
+      center: pose.center.slice(),
+      distance: pose.distance,
+      yaw: pose.yaw,
+      pitch: Math.max(-89, Math.min(89, pose.pitch)),
+    };
+    if (this.mode === "trackball") {
+      this.rotator.setView(
+        Camera.direction(this.pose.yaw, this.pose.pitch),
+        [0, 1, 0],
+        this.pose.distance
+      );
+      this.rotator.setCenter(this.pose.center);
+    }
+  }
+
+  /**
+   * Returns the current pose.
+   * @return {{center: Array<Number>, distance: Number, yaw: Number, pitch: Number}}
+   *    camera pose.
+   */
+  getPose() {
+    return this.mode === "trackball" && !this.transition
+      ? this.trackballPose()
+      : this.pose;
+  }
+
+  /**
+   * Switches the navigation mode, keeping the current view.
+   * @param {String} mode "trackball", "turntable" or "fly".
+   */
+  setMode(mode) {
+    var pose = this.getPose();
+    this.mode = mode;
+    this.rotator.setEnabled(mode === "trackball");
+    this.setPose(pose);
+  }
+
+  /**
+   * Starts a smooth move to a preset view of the origin.
+   * The yaw turns the shortest way round.
+   * @param {String} name key of {@link cameraPresets}.
+   * @param {Number} [duration=0.8] duration of the move, in seconds.
+   */
+  goTo(name, duration = 0.8) {
+    var from = this.getPose();
+    var preset = cameraPresets[name];
+    var yaw = from.yaw + ((((preset.yaw - from.yaw) % 360) + 540) % 360) - 180;
+    this.transition = {
+      from: { ...from, center: from.center.slice() },
+      to: { center: [0, 0, 0], distance: 40, yaw, pitch: preset.pitch },
+      time: 0,
+      duration,
+    };
+  }
+
+  /**
+   * Advances the camera: the move to a preset, if any,
+   * and the fly motion of the keys held down.
+   * @param {Number} dt elapsed time in seconds.
+   */
+  update(dt) {
+    if (this.transition) {
+      var { from, to, duration } = this.transition;
+      this.transition.time += dt;
+      var t = Math.min(1, this.transition.time / duration);
+      var s = easings.ease(t);
+      var mix = (a, b) => a + (b - a) * s;
+      var pose = {
+        center: from.center.map((c, i) => mix(c, to.center[i])),
+        distance: mix(from.distance, to.distance),
+        yaw: mix(from.yaw, to.yaw),
+        pitch: mix(from.pitch, to.pitch),
+      };
+      if (t < 1) {
+        this.pose = pose;
+      } else {
+        this.transition = null;
+        this.setPose(pose);
+      }
+      return;
+    }
+    if (this.mode !== "fly" || this.keys.size === 0) return;
+    var move = [0, 0, 0];
+    this.keys.forEach((key) => {
+      move = move.map((m, i) => m + flyKeys[key][i]);
+    });
+    var step = this.speed * dt;
+    var { right, up, forward } = this.axes();
+    var offset = [0, 1, 2].map(
+      (i) =>
+        step * (move[0] * right[i] + move[1] * up[i] + move[2] * forward[i])
+    );
+    this.pose.center = this.pose.center.map((c, i) => c + offset[i]);
+  }
+
+  /**
+   * Returns the axes of the camera: right, up and forward, in world coordinates.
+   * @return {{right: Array<Number>, up: Array<Number>, forward: Array<Number>}} unit vectors.
+   */
+  axes() {
+    var d = Camera.direction(this.pose.yaw, this.pose.pitch);
+    var forward = d.map((x) => -x);
+    var yaw = (this.pose.yaw * Math.PI) / 180;
+    var right = [Math.cos(yaw), 0, -Math.sin(yaw)];
+    var up = [
+      right[1] * forward[2] - right[2] * forward[1],
+      right[2] * forward[0] - right[0] * forward[2],
+      right[0] * forward[1] - right[1] * forward[0],
+    ];
+    return { right, up, forward };
+  }
+
+  /**
+   * Returns the view matrix of the current mode or move.
+   * @return {Matrix4} view matrix.
+   */
+  viewMatrix() {
+    if (this.mode === "trackball" && !this.transition) {
+      var m = new Matrix4();
+      m.elements = this.rotator.getViewMatrix();
+      return m;
+    }
+    var eye = Camera.eye(this.pose);
+    return new Matrix4().setLookAt(...eye, ...this.pose.center, 0, 1, 0);
+  }
+
+  /**
+   * <p>Turns the camera by a mouse motion.</p>
+   * In turntable mode the eye orbits the center,
+   * while in fly mode the center turns about the eye.
+   * @param {Number} dx horizontal motion in pixels.
+   * @param {Number} dy vertical motion in pixels.
+   */
+  turn(dx, dy) {
+    var eye = Camera.eye(this.pose);
+    this.pose.yaw -= dx * 0.4;
+    this.pose.pitch = Math.max(-89, Math.min(89, this.pose.pitch + dy * 0.4));
+    if (this.mode === "fly") {
+      var d = Camera.direction(this.pose.yaw, this.pose.pitch);
+      this.pose.center = eye.map((e, i) => e - this.pose.distance * d[i]);
+    }
+  }
+
+  /**
+   * Moves the camera parallel to the view plane, following the mouse.
+   * @param {Number} dx horizontal motion in pixels.
+   * @param {Number} dy vertical motion in pixels.
+   */
+  pan(dx, dy) {
+    var s =
+      (2 * this.pose.distance * Math.tan((this.fieldOfView * Math.PI) / 360)) /
+      (this.canvas.clientHeight || this.canvas.height);
+    var { right, up } = this.axes();
+    this.pose.center = this.pose.center.map(
+      (c, i) => c + s * (dy * up[i] - dx * right[i])
+    );
+  }
+
+  /**
+   * Sets up the mouse and keyboard handlers of the turntable and fly modes.
+   */
+  listen() {
+    var prev = null;
+    var button = 0;
+    this.canvas.addEventListener("mousedown", (event) => {
+      if (this.mode === "trackball") return;
+      this.transition = null;
+      prev = [event.clientX, event.clientY];
+      button = event.button;
+      if (button !== 0) event.preventDefault();
+    });
+    window.addEventListener("mousemove", (event) => {
+      if (!prev) return;
+      var dx = event.clientX - prev[0];
+      var dy = event.clientY - prev[1];
+      prev = [event.clientX, event.clientY];
+      if (button === 0) this.turn(dx, dy);
+      else this.pan(dx, dy);
+    });
+    window.addEventListener("mouseup", () => (prev = null));
+    this.canvas.addEventListener(
+      "wheel",
+      (event) => {
+        if (this.mode === "trackball") return;
+        event.preventDefault();
+        var scroll = event.deltaY * (event.deltaMode === 1 ? 20 : 1);
+        if (this.mode === "fly") {
+          var { forward } = this.axes();
+          this.pose.center = this.pose.center.map(
+            (c, i) => c - 0.02 * scroll * forward[i]
+          );
+        } else {
+          this.pose.distance = Math.min(
+            this.maxDistance,
+            Math.max(
+              this.minDistance,
+              this.pose.distance * Math.exp(scroll * 0.002)
+            )
+          );
+        }
+      },
+      { passive: false }
+    );
+    window.addEventListener("keydown", (event) => {
+      var key = event.key.toLowerCase();
+      if (
+        this.mode === "fly" &&
+        key in flyKeys &&
+        event.target === document.body
+      ) {
+        this.keys.add(key);
+      }
+    });
+    window.addEventListener("keyup", (event) =>
+      this.keys.delete(event.key.toLowerCase())
+    );
+    window.addEventListener("blur", () => this.keys.clear());
+  }
+}
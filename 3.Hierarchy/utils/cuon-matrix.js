@@ -123,9 +123,9 @@ Matrix4.prototype.concat = function (other) {
 Matrix4.prototype.multiply = Matrix4.prototype.concat;
 
 /**
- * Multiply this 3D vector by pos.
+ * Multiply this 3D vector by pos, as a point, that is, with w = 1.
  * @param {Vector3} pos a 3D vector.
- * @return {Float32Array} result of multiplication.
+ * @return {Vector3} result of multiplication.
  */
 Matrix4.prototype.multiplyVector3 = function (pos) {
   var e = this.elements;
@@ -133,9 +133,9 @@ Matrix4.prototype.multiplyVector3 = function (pos) {
   var v = new Vector3();
   var result = v.elements;
 
-  result[0] = p[0] * e[0] + p[1] * e[4] + p[2] * e[8] + e[11];
-  result[1] = p[0] * e[1] + p[1] * e[5] + p[2] * e[9] + e[12];
-  result[2] = p[0] * e[2] + p[1] * e[6] + p[2] * e[10] + e[13];
+  result[0] = p[0] * e[0] + p[1] * e[4] + p[2] * e[8] + e[12];
+  result[1] = p[0] * e[1] + p[1] * e[5] + p[2] * e[9] + e[13];
+  result[2] = p[0] * e[2] + p[1] * e[6] + p[2] * e[10] + e[14];
 
   return v;
 };
@@ -1027,3 +1027,5 @@ var Vector4 = function (opt_src) {
   }
   this.elements = v;
 };
+
+export { Matrix4, Vector3, Vector4 };
@@ -111,3 +111,5 @@ function getWebGLContext(canvas, opt_debug) {
 
   return gl;
 }
+
+export { initShaders, createProgram, loadShader, getWebGLContext };
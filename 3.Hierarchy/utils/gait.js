@@ -0,0 +1,77 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>Procedural, periodic animation of an articulated model.</p>
+ *
+ * A gait is a single description of how every joint moves along one cycle:
+ * each channel drives one joint angle, or the translation of the whole model,
+ * with a wave of given shape, bias, amplitude and phase offset.
+ * Channels driving the same value are added up, so limbs are coordinated
+ * by their phases instead of by code.
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ */
+
+/**
+ * Periodic wave shapes, with period 1 and values in [-1, 1].
+ * @type {Object<String, function(Number): Number>}
+ */
+var waveShapes = {
+  sine: (p) => Math.sin(2 * Math.PI * p),
+  // half a sine, twice per cycle
+  bounce: (p) => Math.abs(Math.sin(2 * Math.PI * p)),
+  // positive half of a sine, zero along the rest of the cycle
+  pulse: (p) => Math.max(0, Math.sin(2 * Math.PI * p)),
+};
+
+/**
+ * A periodic motion described by wave channels.
+ * @class
+ */
+export class Gait {
+  /**
+   * Constructor.
+   * @constructs Gait
+   * @param {Object} description gait description.
+   * @param {Number} description.frequency cycles per second at normal speed.
+   * @param {Array<Object>} description.channels each with either a joint name
+   *    and optional axis ("x", "y" or "z", for ball joints), or a translate axis;
+   *    an amplitude, and optional bias, phase (fraction of a cycle) and shape
+   *    (a key of {@link waveShapes}).
+   */
+  constructor({ frequency, channels }) {
+    /** Cycles per second at normal speed. */
+    this.frequency = frequency;
+    /** Wave channels. */
+    this.channels = channels;
+  }
+
+  /**
+   * Returns the pose and the model translation at a point of the cycle.
+   * @param {Number} phase number of cycles since the beginning.
+   * @param {Number} [amplitude=1] scale applied to the waves, but not to the biases.
+   * @return {{pose: Object<String, Array<Number>>, translation: Array<Number>}}
+   *    angles of the driven joints, by name, and translation of the model.
+   */
+  sample(phase, amplitude = 1) {
+    var axes = { x: 0, y: 1, z: 2 };
+    var pose = {};
+    var translation = [0, 0, 0];
+    for (var c of this.channels) {
+      var shape = waveShapes[c.shape || "sine"];
+      var value =
+        (c.bias || 0) + amplitude * c.amplitude * shape(phase + (c.phase || 0));
+      if (c.translate) {
+        translation[axes[c.translate]] += value;
+      } else {
+        var angles = pose[c.joint] || (pose[c.joint] = []);
+        var i = axes[c.axis || "x"];
+        while (angles.length <= i) angles.push(0);
+        angles[i] += value;
+      }
+    }
+    return { pose, translation };
+  }
+}
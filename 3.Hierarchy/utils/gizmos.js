@@ -0,0 +1,90 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>Line geometry of the visual helpers: ground grid and axes.</p>
+ *
+ * Every function returns vertex positions and RGBA colors for gl.LINES,
+ * two vertices per segment, in the same format as {@link cube}.
+ * Axes follow the usual convention: x is red, y is green and z is blue.
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ */
+
+/**
+ * Colors of the x, y and z axes.
+ * @type {Array<Array<Number>>}
+ */
+export var axisColors = [
+  [0.9, 0.1, 0.1, 1],
+  [0.1, 0.7, 0.1, 1],
+  [0.1, 0.2, 0.9, 1],
+];
+
+/**
+ * Creates the arrays of a list of segments.
+ * @param {Array<{from: Array<Number>, to: Array<Number>, color: Array<Number>}>} segments
+ *    segment end points and colors.
+ * @return {Object<{numVertices: Number, vertices: Float32Array, colors: Float32Array}>}
+ *    line vertices with associated colors.
+ */
+export function makeLines(segments) {
+  var vertices = [];
+  var colors = [];
+  segments.forEach(({ from, to, color }) => {
+    vertices.push(...from, ...to);
+    colors.push(...color, ...color);
+  });
+  return {
+    numVertices: 2 * segments.length,
+    vertices: new Float32Array(vertices),
+    colors: new Float32Array(colors),
+  };
+}
+
+/**
+ * Creates a square grid on the plane y = 0, centered at the origin.
+ * Every major line is darker, and the lines through the origin
+ * take the colors of the x and z axes.
+ * @param {Number} [extent=100] half the side of the grid.
+ * @param {Number} [spacing=1] distance between lines.
+ * @param {Number} [major=5] number of spaces between darker lines.
+ * @return {Object<{numVertices: Number, vertices: Float32Array, colors: Float32Array}>}
+ *    line vertices with associated colors.
+ */
+export function makeGrid(extent = 100, spacing = 1, major = 5) {
+  var segments = [];
+  var n = Math.floor(extent / spacing);
+  for (var i = -n; i <= n; ++i) {
+    var c = i * spacing;
+    var gray = i % major === 0 ? [0.35, 0.35, 0.35, 0.8] : [0.5, 0.5, 0.5, 0.4];
+    segments.push({
+      from: [c, 0, -extent],
+      to: [c, 0, extent],
+      color: i === 0 ? axisColors[2] : gray,
+    });
+    segments.push({
+      from: [-extent, 0, c],
+      to: [extent, 0, c],
+      color: i === 0 ? axisColors[0] : gray,
+    });
+  }
+  return makeLines(segments);
+}
+
+/**
+ * Creates the three axes of a coordinate system, from its origin.
+ * @param {Number} [length=1] length of each axis.
+ * @return {Object<{numVertices: Number, vertices: Float32Array, colors: Float32Array}>}
+ *    line vertices with associated colors.
+ */
+export function makeAxes(length = 1) {
+  return makeLines(
+    axisColors.map((color, i) => {
+      var to = [0, 0, 0];
+      to[i] = length;
+      return { from: [0, 0, 0], to, color };
+    })
+  );
+}
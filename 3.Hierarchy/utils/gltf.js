@@ -0,0 +1,333 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>glTF 2.0 export of a scene graph.</p>
+ *
+ * Each {@link SceneNode} becomes a glTF node whose translation and rotation
+ * are its joint matrix, with the node's children as its own. The mesh of a
+ * node is placed in an extra child node carrying the shape scale,
+ * since the shape matrix is not inherited by the children.
+ *
+ * Materials are converted to metallic-roughness ones: the diffuse color
+ * is the base color, nothing is metallic, and the roughness decreases
+ * with the shininess. An animation is stored by sampling it at a fixed rate,
+ * with one translation and one rotation channel per joint, so easings
+ * and joint limits are baked in.
+ *
+ * The same document is written either as a .gltf, with its binary buffer
+ * embedded as a data URI, or as a single binary .glb file.
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ * @see https://registry.khronos.org/glTF/specs/2.0/glTF-2.0.html
+ */
+
+import { Matrix4, matrix4ToQuat } from "./math.js";
+
+/**
+ * Numeric codes of the glTF constants used by the exporter.
+ * @type {Object<String, Number>}
+ */
+var gltfConstants = {
+  ARRAY_BUFFER: 34962,
+  ELEMENT_ARRAY_BUFFER: 34963,
+  FLOAT: 5126,
+  UNSIGNED_SHORT: 5123,
+  UNSIGNED_INT: 5125,
+  TRIANGLES: 4,
+};
+
+/**
+ * Splits a rigid transformation into a translation and a rotation quaternion.
+ * @param {Matrix4} matrix rotation followed by a translation, without scale.
+ * @return {{translation: Array<Number>, rotation: Array<Number>}}
+ *    translation, and rotation as a unit quaternion [x, y, z, w].
+ */
+function decomposeMatrix(matrix) {
+  var e = matrix.elements;
+  return {
+    translation: [e[12], e[13], e[14]],
+    rotation: Array.from(matrix4ToQuat(matrix)),
+  };
+}
+
+/**
+ * Converts a material to a glTF metallic-roughness material.
+ * @param {Material} material surface material.
+ * @param {String} name material name.
+ * @return {Object} glTF material.
+ */
+function gltfMaterial(material, name) {
+  var json = {
+    name,
+    pbrMetallicRoughness: {
+      baseColorFactor: material.diffuse.slice(),
+      metallicFactor: 0,
+      // Blinn-Phong exponent to roughness
+      roughnessFactor: Math.min(1, Math.sqrt(2 / (material.shininess + 2))),
+    },
+  };
+  if (material.emissive.some((c) => c > 0)) {
+    json.emissiveFactor = material.emissive.map((c) => Math.min(1, c));
+  }
+  if (material.diffuse[3] < 1) json.alphaMode = "BLEND";
+  return json;
+}
+
+/**
+ * <p>Builds the glTF document of a scene graph.</p>
+ * The scene is exported in its current pose; an animation, if given,
+ * is sampled by calling its pose function, which changes the scene,
+ * so the caller must restore the pose afterwards.
+ * @param {SceneNode} root root of the scene graph.
+ * @param {Object} [options] export options.
+ * @param {String} [options.name="scene"] name of the scene.
+ * @param {Object<String, Object>} [options.meshes={}] meshes by shape name,
+ *    as in {@link meshes}.
+ * @param {Array<Number>} [options.translation=[0,0,0]] translation of the root.
+ * @param {Object} [options.animation] animation to be sampled.
+ * @param {Number} options.animation.duration length in seconds.
+ * @param {function(Number)} options.animation.pose poses the scene at a time.
+ * @param {Number} [options.animation.fps=30] samples per second.
+ * @return {{json: Object, bin: Uint8Array}} glTF document and its binary buffer.
+ */
+export function exportGLTF(
+  root,
+  { name = "scene", meshes = {}, translation = [0, 0, 0], animation } = {}
+) {
+  var json = {
+    asset: { version: "2.0", generator: "Hierarchy" },
+    scene: 0,
+    scenes: [{ name, nodes: [0] }],
+    nodes: [],
+    meshes: [],
+    materials: [],
+    accessors: [],
+    bufferViews: [],
+    buffers: [],
+  };
+  var chunks = [];
+  var byteLength = 0;
+
+  // appends a typed array to the buffer, 4-byte aligned, with its accessor
+  var accessor = (array, type, { target, minMax } = {}) => {
+    var size = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 }[type];
+    var bytes = new Uint8Array(
+      array.buffer,
+      array.byteOffset,
+      array.byteLength
+    );
+    var padding = (4 - (byteLength % 4)) % 4;
+    if (padding > 0) chunks.push(new Uint8Array(padding));
+    byteLength += padding;
+    json.bufferViews.push({
+      buffer: 0,
+      byteOffset: byteLength,
+      byteLength: bytes.length,
+      ...(target && { target }),
+    });
+    chunks.push(bytes);
+    byteLength += bytes.length;
+    var componentType =
+      array instanceof Uint16Array
+        ? gltfConstants.UNSIGNED_SHORT
+        : array instanceof Uint32Array
+        ? gltfConstants.UNSIGNED_INT
+        : gltfConstants.FLOAT;
+    var result = {
+      bufferView: json.bufferViews.length - 1,
+      componentType,
+      count: array.length / size,
+      type,
+    };
+    if (minMax) {
+      result.min = new Array(size).fill(Infinity);
+      result.max = new Array(size).fill(-Infinity);
+      array.forEach((x, i) => {
+        result.min[i % size] = Math.min(result.min[i % size], x);
+        result.max[i % size] = Math.max(result.max[i % size], x);
+      });
+    }
+    json.accessors.push(result);
+    return json.accessors.length - 1;
+  };
+
+  // vertex attributes of each shape, shared by all nodes drawn with it
+  var attributes = {};
+  var primitive = (shape) => {
+    if (!attributes[shape]) {
+      var mesh = meshes[shape];
+      // glTF texture coordinates start at the top left
+      var texCoords = mesh.texCoords.map((x, i) => (i % 2 ? 1 - x : x));
+      attributes[shape] = {
+        attributes: {
+          POSITION: accessor(mesh.vertices, "VEC3", {
+            target: gltfConstants.ARRAY_BUFFER,
+            minMax: true,
+          }),
+          NORMAL: accessor(mesh.normals, "VEC3", {
+            target: gltfConstants.ARRAY_BUFFER,
+          }),
+          TEXCOORD_0: accessor(texCoords, "VEC2", {
+            target: gltfConstants.ARRAY_BUFFER,
+          }),
+        },
+        mode: gltfConstants.TRIANGLES,
+      };
+      if (mesh.indices) {
+        attributes[shape].indices = accessor(mesh.indices, "SCALAR", {
+          target: gltfConstants.ELEMENT_ARRAY_BUFFER,
+        });
+      }
+    }
+    return attributes[shape];
+  };
+
+  // identical materials are written once
+  var materialIndex = new Map();
+  var material = (node) => {
+    var m = gltfMaterial(node.material, node.name);
+    var key = JSON.stringify({ ...m, name: undefined });
+    if (!materialIndex.has(key)) {
+      json.materials.push(m);
+      materialIndex.set(key, json.materials.length - 1);
+    }
+    return materialIndex.get(key);
+  };
+
+  // joint matrix of a node, moved by the translation at the root
+  var placement = (node) =>
+    node === root
+      ? new Matrix4().setTranslate(...translation).multiply(node.matrix)
+      : node.matrix;
+
+  var nodeIndex = new Map();
+  (function add(node, parent) {
+    var index = json.nodes.length;
+    var gltfNode = {
+      name: node.name,
+      ...decomposeMatrix(placement(node)),
+      children: [],
+    };
+    json.nodes.push(gltfNode);
+    nodeIndex.set(node, index);
+    if (parent) parent.children.push(index);
+
+    json.meshes.push({
+      name: node.name,
+      primitives: [{ ...primitive(node.shape), material: material(node) }],
+    });
+    gltfNode.children.push(json.nodes.length);
+    json.nodes.push({
+      name: `${node.name}-shape`,
+      scale: node.scale.slice(),
+      mesh: json.meshes.length - 1,
+    });
+
+    node.children.forEach((child) => add(child, gltfNode));
+  })(root, null);
+
+  if (animation) {
+    var { duration, pose, fps = 30 } = animation;
+    var count = Math.max(2, Math.round(duration * fps) + 1);
+    var times = new Float32Array(count);
+    var joints = Array.from(nodeIndex.keys()).filter((node) => node.joint);
+    var tracks = joints.map(() => ({
+      translation: new Float32Array(3 * count),
+      rotation: new Float32Array(4 * count),
+    }));
+    for (var i = 0; i < count; ++i) {
+      times[i] = (i / (count - 1)) * duration;
+      pose(times[i]);
+      joints.forEach((node, j) => {
+        var { translation: t, rotation: r } = decomposeMatrix(placement(node));
+        // keep consecutive quaternions in the same hemisphere
+        var previous = tracks[j].rotation.subarray(4 * i - 4, 4 * i);
+        if (i > 0 && r.reduce((d, x, k) => d + x * previous[k], 0) < 0) {
+          r = r.map((x) => -x);
+        }
+        tracks[j].translation.set(t, 3 * i);
+        tracks[j].rotation.set(r, 4 * i);
+      });
+    }
+    var input = accessor(times, "SCALAR", { minMax: true });
+    var gltfAnimation = { name: "timeline", samplers: [], channels: [] };
+    joints.forEach((node, j) => {
+      ["translation", "rotation"].forEach((path) => {
+        gltfAnimation.samplers.push({
+          input,
+          output: accessor(
+            tracks[j][path],
+            path === "rotation" ? "VEC4" : "VEC3"
+          ),
+          interpolation: "LINEAR",
+        });
+        gltfAnimation.channels.push({
+          sampler: gltfAnimation.samplers.length - 1,
+          target: { node: nodeIndex.get(node), path },
+        });
+      });
+    });
+    json.animations = [gltfAnimation];
+  }
+
+  var bin = new Uint8Array(byteLength);
+  var offset = 0;
+  chunks.forEach((chunk) => {
+    bin.set(chunk, offset);
+    offset += chunk.length;
+  });
+  json.buffers.push({ byteLength });
+  json.nodes.forEach((node) => {
+    if (node.children && node.children.length === 0) delete node.children;
+  });
+  return { json, bin };
+}
+
+/**
+ * Writes a glTF document as a .gltf file, with its buffer as a data URI.
+ * @param {{json: Object, bin: Uint8Array}} gltf document from {@link exportGLTF}.
+ * @return {String} contents of the file.
+ */
+export function gltfToText({ json, bin }) {
+  var binary = "";
+  // String.fromCharCode takes a limited number of arguments
+  for (var i = 0; i < bin.length; i += 0x8000) {
+    binary += String.fromCharCode(...bin.subarray(i, i + 0x8000));
+  }
+  var buffer = {
+    ...json.buffers[0],
+    uri: "data:application/octet-stream;base64," + btoa(binary),
+  };
+  return JSON.stringify({ ...json, buffers: [buffer] }, null, 2);
+}
+
+/**
+ * Writes a glTF document as a binary .glb file:
+ * a header followed by a JSON chunk and a BIN chunk, each 4-byte aligned.
+ * @param {{json: Object, bin: Uint8Array}} gltf document from {@link exportGLTF}.
+ * @return {ArrayBuffer} contents of the file.
+ */
+export function gltfToBinary({ json, bin }) {
+  var text = new TextEncoder().encode(JSON.stringify(json));
+  var pad = (n) => (n + 3) & ~3;
+  var jsonLength = pad(text.length);
+  var binLength = pad(bin.length);
+  var length = 12 + 8 + jsonLength + 8 + binLength;
+  var buffer = new ArrayBuffer(length);
+  var view = new DataView(buffer);
+  var bytes = new Uint8Array(buffer);
+  view.setUint32(0, 0x46546c67, true); // "glTF"
+  view.setUint32(4, 2, true);
+  view.setUint32(8, length, true);
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, 0x4e4f534a, true); // "JSON"
+  bytes.set(text, 20);
+  // the JSON chunk is padded with spaces
+  bytes.fill(0x20, 20 + text.length, 20 + jsonLength);
+  view.setUint32(20 + jsonLength, binLength, true);
+  view.setUint32(24 + jsonLength, 0x004e4942, true); // "BIN"
+  bytes.set(bin, 28 + jsonLength);
+  return buffer;
+}
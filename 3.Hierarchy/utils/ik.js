@@ -0,0 +1,166 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>Inverse kinematics for chains of scene graph nodes.</p>
+ *
+ * Both solvers only change joint angles through {@link Joint#setAngle},
+ * so every solution respects the joint limits. Positions are given in the
+ * coordinate system of the root of the hierarchy.
+ *
+ * <ul>
+ *   <li>{@link solveCCD}: cyclic coordinate descent, for chains of any length.
+ *   Each degree of freedom, from the tip towards the base, is rotated
+ *   so that the effector gets as close as possible to the target.</li>
+ *   <li>{@link solveTwoBone}: bends the middle hinge of a two-bone chain
+ *   (shoulder, elbow, hand) so the effector is at the target distance,
+ *   using the law of cosines, and then aims the chain with its base joint.</li>
+ * </ul>
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ * @see https://zalo.github.io/blog/inverse-kinematics/
+ */
+
+import { Matrix4, transformDirection, transformPoint } from "./math.js";
+
+/**
+ * Returns the position of the origin of a node.
+ * @param {SceneNode} node scene graph node.
+ * @return {Array<Number>} position in root coordinates.
+ */
+export function nodePosition(node) {
+  return transformPoint(node.worldMatrix(), [0, 0, 0]);
+}
+
+/**
+ * Returns the pivot of a node's joint and the rotation axis of each
+ * of its degrees of freedom.
+ * @param {SceneNode} node node with a joint.
+ * @return {{pivot: Array<Number>, axes: Array<Array<Number>>}} pivot and axes in root coordinates.
+ */
+export function jointFrame(node) {
+  var frame = node.parent ? node.parent.worldMatrix() : new Matrix4();
+  frame.translate(...node.offset);
+  return {
+    pivot: transformPoint(frame, node.joint.pivot),
+    axes: node.joint.localAxes().map((a) => transformDirection(frame, a)),
+  };
+}
+
+/**
+ * Distance between two points.
+ * @param {Array<Number>} a first point.
+ * @param {Array<Number>} b second point.
+ * @return {Number} distance.
+ */
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+/**
+ * <p>Rotates one degree of freedom of a joint, so that the effector
+ * gets as close to the target as that rotation allows.</p>
+ * Both points are projected onto the plane perpendicular to the axis,
+ * and the angle between the projections is added to the joint angle.
+ * @param {SceneNode} node node with a joint.
+ * @param {Number} i degree of freedom.
+ * @param {SceneNode} effector node to be moved towards the target.
+ * @param {Array<Number>} target target position.
+ */
+function rotateTowards(node, i, effector, target) {
+  var { pivot, axes } = jointFrame(node);
+  var k = axes[i];
+  var e = nodePosition(effector);
+  var u = [0, 1, 2].map((j) => e[j] - pivot[j]);
+  var v = [0, 1, 2].map((j) => target[j] - pivot[j]);
+  var uk = u[0] * k[0] + u[1] * k[1] + u[2] * k[2];
+  var vk = v[0] * k[0] + v[1] * k[1] + v[2] * k[2];
+  u = u.map((x, j) => x - uk * k[j]);
+  v = v.map((x, j) => x - vk * k[j]);
+  var cross = [
+    u[1] * v[2] - u[2] * v[1],
+    u[2] * v[0] - u[0] * v[2],
+    u[0] * v[1] - u[1] * v[0],
+  ];
+  var sin = cross[0] * k[0] + cross[1] * k[1] + cross[2] * k[2];
+  var cos = u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+  if (sin === 0 && cos === 0) return;
+  node.joint.rotate((Math.atan2(sin, cos) * 180) / Math.PI, i);
+  node.updateMatrix();
+}
+
+/**
+ * Solves a chain with cyclic coordinate descent.
+ * @param {Array<SceneNode>} chain articulated nodes, from the base to the tip.
+ * @param {SceneNode} effector node to be placed at the target, below the chain.
+ * @param {Array<Number>} target target position.
+ * @param {Object} [options] solver options.
+ * @param {Number} [options.iterations=20] maximum number of passes over the chain.
+ * @param {Number} [options.tolerance=0.01] distance considered close enough.
+ * @return {Number} final distance from the effector to the target.
+ */
+export function solveCCD(
+  chain,
+  effector,
+  target,
+  { iterations = 20, tolerance = 0.01 } = {}
+) {
+  var d = distance(nodePosition(effector), target);
+  for (var it = 0; it < iterations && d > tolerance; ++it) {
+    for (var n = chain.length - 1; n >= 0; --n) {
+      for (var i = chain[n].joint.dof - 1; i >= 0; --i) {
+        rotateTowards(chain[n], i, effector, target);
+      }
+    }
+    d = distance(nodePosition(effector), target);
+  }
+  return d;
+}
+
+/**
+ * <p>Solves a two-bone chain.</p>
+ * The middle joint must be a hinge. Its angle is chosen so that the distance
+ * from the base pivot to the effector equals the distance to the target,
+ * clamped to what the bones can reach, and then the base joint aims
+ * the effector at the target. A few CCD passes absorb the error of bones
+ * that are not perpendicular to the hinge axis.
+ * @param {SceneNode} base node with the base joint, such as a shoulder.
+ * @param {SceneNode} middle node with the middle hinge, such as an elbow.
+ * @param {SceneNode} effector node to be placed at the target, such as a hand.
+ * @param {Array<Number>} target target position.
+ * @param {Object} [options] options passed to {@link solveCCD}.
+ * @return {Number} final distance from the effector to the target.
+ */
+export function solveTwoBone(base, middle, effector, target, options = {}) {
+  if (middle.joint.type !== "hinge") {
+    return solveCCD([base, middle], effector, target, options);
+  }
+  var root = jointFrame(base).pivot;
+  var elbow = jointFrame(middle).pivot;
+  var a = distance(root, elbow);
+  var b = distance(elbow, nodePosition(effector));
+  var d = Math.min(a + b, Math.max(Math.abs(a - b), distance(root, target)));
+
+  // current and desired angles at the elbow, between the two bones
+  var interior = (c) =>
+    Math.acos(Math.min(1, Math.max(-1, (a * a + b * b - c * c) / (2 * a * b))));
+  var delta =
+    ((interior(distance(root, nodePosition(effector))) - interior(d)) * 180) /
+    Math.PI;
+
+  // the hinge axis may bend either way: keep the best of both directions
+  var angle = middle.joint.angle;
+  var best = { angle, error: Infinity };
+  for (var candidate of [angle + delta, angle - delta]) {
+    middle.joint.setAngle(candidate);
+    middle.updateMatrix();
+    var error = Math.abs(distance(root, nodePosition(effector)) - d);
+    if (error < best.error) best = { angle: middle.joint.angle, error };
+  }
+  middle.joint.setAngle(best.angle);
+  middle.updateMatrix();
+
+  solveCCD([base], effector, target, { ...options, iterations: 4 });
+  return solveCCD([base, middle], effector, target, options);
+}
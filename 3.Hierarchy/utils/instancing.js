@@ -0,0 +1,242 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>Instanced drawing of meshes with WebGL2.</p>
+ *
+ * A batch draws any number of copies of a mesh with a single call.
+ * Each copy, or instance, has its own model matrix, matrix for the normals
+ * and color, which the vertex shader reads from attributes that advance
+ * once per instance instead of once per vertex:
+ * <pre>
+ *   attribute mat4 a_Model;
+ *   attribute mat3 a_NormalMatrix;
+ *   attribute vec4 a_InstanceColor;
+ * </pre>
+ * A vertex array object of each shader program records where the mesh and
+ * instance attributes come from, so their locations are looked up once,
+ * when it is created, and drawing only binds it. Uniform locations are
+ * also looked up once, by {@link uniformLocation}.
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ * @see https://webgl2fundamentals.org/webgl/lessons/webgl-instanced-drawing.html
+ */
+
+import { mat3 } from "./math.js";
+
+/**
+ * Floats of each instance: a 4x4 model matrix, a 3x3 matrix for the normals
+ * and an RGBA color, in this order.
+ * @type {Number}
+ */
+export var instanceSize = 16 + 9 + 4;
+
+/**
+ * Mesh attributes: the buffer of each, and its number of components.
+ * @type {Object<String, Array>}
+ */
+var meshAttributes = {
+  a_Position: ["vertices", 3],
+  a_Normal: ["normals", 3],
+  a_Color: ["colors", 4],
+  a_Joints: ["joints", 4],
+  a_Weights: ["weights", 4],
+};
+
+/**
+ * Instance attributes: columns, rows and offset in the instance, in floats.
+ * A matrix attribute takes one location per column.
+ * @type {Object<String, Array<Number>>}
+ */
+var instanceAttributes = {
+  a_Model: [4, 4, 0],
+  a_NormalMatrix: [3, 3, 16],
+  a_InstanceColor: [1, 4, 25],
+};
+
+/**
+ * Uniform locations of each program, by name.
+ * @type {WeakMap<WebGLProgram, Object<String, WebGLUniformLocation>>}
+ */
+var uniformLocations = new WeakMap();
+
+/**
+ * Returns the location of a uniform, which is looked up only the first time.
+ * @param {WebGL2RenderingContext} gl WebGL context.
+ * @param {WebGLProgram} program shader program.
+ * @param {String} name uniform name.
+ * @return {?WebGLUniformLocation} location, or null if the program does not use it.
+ */
+export function uniformLocation(gl, program, name) {
+  var locations = uniformLocations.get(program);
+  if (!locations) {
+    locations = {};
+    uniformLocations.set(program, locations);
+  }
+  if (!(name in locations)) {
+    locations[name] = gl.getUniformLocation(program, name);
+  }
+  return locations[name];
+}
+
+/**
+ * Copies of a mesh drawn with a single instanced call.
+ * @class
+ */
+export class InstanceBatch {
+  /**
+   * Constructor.
+   * @constructs InstanceBatch
+   * @param {WebGL2RenderingContext} gl WebGL context.
+   * @param {Object} buffers handles to the buffers of the mesh: vertices,
+   *    normals and colors, and optionally joints, weights and indices,
+   *    with numVertices, numIndices and indexType.
+   */
+  constructor(gl, buffers) {
+    /** WebGL context. */
+    this.gl = gl;
+    /** Buffers of the mesh. */
+    this.buffers = buffers;
+    /** Number of instances. */
+    this.count = 0;
+    /** Instance data, which grows as needed. */
+    this.data = new Float32Array(8 * instanceSize);
+    /** Buffer of the instance data on the GPU. */
+    this.instanceBuffer = gl.createBuffer();
+    /** Whether the data changed since it was copied to the GPU. */
+    this.stale = true;
+    /**
+     * Vertex array object of each program.
+     * @type {Map<WebGLProgram, WebGLVertexArrayObject>}
+     */
+    this.vertexArrays = new Map();
+  }
+
+  /**
+   * Removes all instances.
+   */
+  clear() {
+    this.count = 0;
+    this.stale = true;
+  }
+
+  /**
+   * Adds an instance.
+   * @param {Matrix4} model model matrix.
+   * @param {Array<Number>} color RGBA color.
+   */
+  add(model, color) {
+    if ((this.count + 1) * instanceSize > this.data.length) {
+      var data = new Float32Array(2 * this.data.length);
+      data.set(this.data);
+      this.data = data;
+    }
+    var offset = this.count * instanceSize;
+    this.data.set(model.elements, offset);
+    var normalMatrix = this.data.subarray(offset + 16, offset + 25);
+    // a singular matrix, such as a shadow projection, has no matrix for normals
+    if (!mat3.normalFromMat4(normalMatrix, model.elements)) {
+      mat3.identity(normalMatrix);
+    }
+    this.data.set(color, offset + 25);
+    ++this.count;
+    this.stale = true;
+  }
+
+  /**
+   * Returns the vertex array object of a program, creating it if needed.
+   * Attributes the program does not use, or the mesh does not have, are skipped.
+   * @param {WebGLProgram} program shader program.
+   * @return {WebGLVertexArrayObject} vertex array object.
+   */
+  vertexArray(program) {
+    var vao = this.vertexArrays.get(program);
+    if (vao) return vao;
+    var gl = this.gl;
+    vao = gl.createVertexArray();
+    gl.bindVertexArray(vao);
+    for (var name in meshAttributes) {
+      var [key, size] = meshAttributes[name];
+      var index = gl.getAttribLocation(program, name);
+      if (index < 0 || !this.buffers[key]) continue;
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers[key]);
+      gl.enableVertexAttribArray(index);
+      gl.vertexAttribPointer(index, size, gl.FLOAT, false, 0, 0);
+    }
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+    for (var name in instanceAttributes) {
+      var [columns, rows, offset] = instanceAttributes[name];
+      var index = gl.getAttribLocation(program, name);
+      if (index < 0) continue;
+      for (var c = 0; c < columns; ++c) {
+        gl.enableVertexAttribArray(index + c);
+        gl.vertexAttribPointer(
+          index + c,
+          rows,
+          gl.FLOAT,
+          false,
+          4 * instanceSize,
+          4 * (offset + c * rows)
+        );
+        gl.vertexAttribDivisor(index + c, 1);
+      }
+    }
+    // the index buffer binding is part of the vertex array object
+    if (this.buffers.indices) {
+      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.buffers.indices);
+    }
+    gl.bindVertexArray(null);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    this.vertexArrays.set(program, vao);
+    return vao;
+  }
+
+  /**
+   * Draws every instance with a program, which must be in use,
+   * copying the instance data to the GPU if it changed.
+   * @param {WebGLProgram} program shader program.
+   */
+  draw(program) {
+    if (this.count === 0) return;
+    var gl = this.gl;
+    if (this.stale) {
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+      gl.bufferData(
+        gl.ARRAY_BUFFER,
+        this.data.subarray(0, this.count * instanceSize),
+        gl.DYNAMIC_DRAW
+      );
+      gl.bindBuffer(gl.ARRAY_BUFFER, null);
+      this.stale = false;
+    }
+    gl.bindVertexArray(this.vertexArray(program));
+    if (this.buffers.indices) {
+      gl.drawElementsInstanced(
+        gl.TRIANGLES,
+        this.buffers.numIndices,
+        this.buffers.indexType,
+        0,
+        this.count
+      );
+    } else {
+      gl.drawArraysInstanced(
+        gl.TRIANGLES,
+        0,
+        this.buffers.numVertices,
+        this.count
+      );
+    }
+    gl.bindVertexArray(null);
+  }
+
+  /**
+   * Deletes the instance buffer and the vertex array objects,
+   * but not the buffers of the mesh.
+   */
+  dispose() {
+    this.vertexArrays.forEach((vao) => this.gl.deleteVertexArray(vao));
+    this.vertexArrays.clear();
+    this.gl.deleteBuffer(this.instanceBuffer);
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>A rotational joint of an articulated model.</p>
+ *
+ * A joint rotates its node about a pivot point, given in the node's own
+ * coordinate system. It is either a hinge, with a single angle about an
+ * arbitrary axis, or a ball, with one angle about each of the x, y and z
+ * axes, applied in this order. Every angle is kept within its [min, max]
+ * interval, whatever changes it.
+ *
+ * The rotation itself is stored as a quaternion, which is what transforms
+ * the node. The angles are the way it is edited and limited: changing
+ * them updates the quaternion.
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ */
+
+import {
+  Matrix4,
+  Vector4,
+  quat,
+  quatFromEuler,
+  quatToMatrix4,
+} from "./math.js";
+
+/**
+ * A rotational joint with angle limits.
+ * @class
+ */
+export class Joint {
+  /**
+   * Constructor.
+   * @constructs Joint
+   * @param {Object} [description] joint parameters.
+   * @param {String} [description.type="hinge"] either "hinge" or "ball".
+   * @param {Array<Number>} [description.pivot=[0,0,0]] rotation center.
+   * @param {Array<Number>} [description.axis=[0,0,1]] rotation axis of a hinge.
+   * @param {Number | Array<Number|null>} [description.min] minimum angle in degrees,
+   *    or one per axis for a ball. A missing or null limit means no limit.
+   * @param {Number | Array<Number|null>} [description.max] maximum angle in degrees,
+   *    or one per axis for a ball.
+   * @throws {Error} if the type or the limits are invalid.
+   */
+  constructor({
+    type = "hinge",
+    pivot = [0, 0, 0],
+    axis = [0, 0, 1],
+    min,
+    max,
+  } = {}) {
+    if (type !== "hinge" && type !== "ball") {
+      throw new Error(`invalid joint type "${type}"`);
+    }
+    var n = type === "ball" ? 3 : 1;
+    /** Joint type, either "hinge" or "ball". */
+    this.type = type;
+    /** Rotation center. */
+    this.pivot = pivot;
+    /** Rotation axis of a hinge. */
+    this.axis = axis;
+    /** Minimum angle of each degree of freedom, in degrees. */
+    this.min = Joint.limits(min, n, -Infinity);
+    /** Maximum angle of each degree of freedom, in degrees. */
+    this.max = Joint.limits(max, n, Infinity);
+    if (this.min.some((m, i) => m > this.max[i])) {
+      throw new Error("joint minimum greater than its maximum");
+    }
+    /** Current angle of each degree of freedom, in degrees. */
+    this.angles = this.min.map((m, i) => this.clamp(0, i));
+    /** Current rotation, as a unit quaternion [x, y, z, w]. */
+    this.rotation = quat.create();
+    this.updateRotation();
+  }
+
+  /**
+   * Returns the number of angles of this joint.
+   * @type {Number}
+   */
+  get dof() {
+    return this.angles.length;
+  }
+
+  /**
+   * Returns the first angle of this joint, which is the only one of a hinge.
+   * @type {Number}
+   */
+  get angle() {
+    return this.angles[0];
+  }
+
+  /**
+   * Returns the given angle restricted to the limits of this joint.
+   * @param {Number} angle angle in degrees.
+   * @param {Number} [i=0] degree of freedom.
+   * @return {Number} clamped angle.
+   */
+  clamp(angle, i = 0) {
+    return Math.min(this.max[i], Math.max(this.min[i], angle));
+  }
+
+  /**
+   * Sets an angle of this joint, respecting its limits.
+   * @param {Number} angle angle in degrees.
+   * @param {Number} [i=0] degree of freedom.
+   */
+  setAngle(angle, i = 0) {
+    this.angles[i] = this.clamp(angle, i);
+    this.updateRotation();
+  }
+
+  /**
+   * Sets all angles of this joint, respecting its limits.
+   * @param {Array<Number>} angles angles in degrees, one per degree of freedom.
+   */
+  setAngles(angles) {
+    this.angles = this.angles.map((a, i) => this.clamp(angles[i], i));
+    this.updateRotation();
+  }
+
+  /**
+   * Recomputes the rotation quaternion from the angles.
+   */
+  updateRotation() {
+    if (this.type === "ball") {
+      quatFromEuler(this.rotation, ...this.angles);
+    } else {
+      var len = Math.hypot(...this.axis) || 1;
+      var axis = this.axis.map((x) => x / len);
+      quat.setAxisAngle(this.rotation, axis, (this.angle * Math.PI) / 180);
+    }
+  }
+
+  /**
+   * Increments an angle of this joint, respecting its limits.
+   * @param {Number} delta angle increment in degrees.
+   * @param {Number} [i=0] degree of freedom.
+   */
+  rotate(delta, i = 0) {
+    this.setAngle(this.angles[i] + delta, i);
+  }
+
+  /**
+   * <p>Multiplies the given matrix by the rotation of this joint.</p>
+   * The rotation is about the pivot: T(pivot) · R · T(-pivot).
+   * @param {Matrix4} matrix matrix to be modified.
+   * @return {Matrix4} the given matrix.
+   */
+  applyTo(matrix) {
+    var [px, py, pz] = this.pivot;
+    matrix.translate(px, py, pz);
+    matrix.multiply(quatToMatrix4(this.rotation));
+    return matrix.translate(-px, -py, -pz);
+  }
+
+  /**
+   * <p>Returns the rotation axis of each degree of freedom,
+   * in the coordinate system where the joint rotation is applied.</p>
+   * For a ball, the y and z axes are those rotated by the angles before them.
+   * @return {Array<Array<Number>>} one axis per degree of freedom.
+   */
+  localAxes() {
+    if (this.type !== "ball") return [this.axis];
+    var m = new Matrix4().setRotate(this.angles[0], 1, 0, 0);
+    var y = m.multiplyVector4(new Vector4([0, 1, 0, 0])).elements;
+    m.rotate(this.angles[1], 0, 1, 0);
+    var z = m.multiplyVector4(new Vector4([0, 0, 1, 0])).elements;
+    return [[1, 0, 0], Array.from(y.slice(0, 3)), Array.from(z.slice(0, 3))];
+  }
+
+  /**
+   * Returns the parameters of this joint.
+   * Infinite limits are written as null, or omitted for a hinge,
+   * since they cannot be represented in JSON.
+   * <p>Called by JSON.stringify.</p>
+   * @return {Object} plain object accepted by the constructor.
+   */
+  toJSON() {
+    var finite = (v) => (isFinite(v) ? v : null);
+    if (this.type === "ball") {
+      return {
+        type: this.type,
+        pivot: this.pivot,
+        min: this.min.map(finite),
+        max: this.max.map(finite),
+      };
+    }
+    var json = { pivot: this.pivot, axis: this.axis };
+    if (isFinite(this.min[0])) json.min = this.min[0];
+    if (isFinite(this.max[0])) json.max = this.max[0];
+    return json;
+  }
+
+  /**
+   * Converts a limit description to one limit per degree of freedom.
+   * @param {Number | Array<Number|null> | undefined} limit given limits.
+   * @param {Number} n number of degrees of freedom.
+   * @param {Number} unlimited value used for missing limits.
+   * @return {Array<Number>} limits.
+   * @throws {Error} if the description is malformed.
+   */
+  static limits(limit, n, unlimited) {
+    var values = Array.isArray(limit) ? limit : new Array(n).fill(limit);
+    if (
+      values.length !== n ||
+      !values.every((v) => v == null || typeof v === "number")
+    ) {
+      throw new Error("invalid joint limits");
+    }
+    return values.map((v) => (v == null ? unlimited : v));
+  }
+}
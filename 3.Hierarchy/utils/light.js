@@ -0,0 +1,134 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>Light sources of the scene.</p>
+ *
+ * Lights are given in world coordinates and aim at a target point.
+ * A point light shines in every direction from its position,
+ * a directional light shines along the direction from its position
+ * to its target, as if from infinitely far away, and a spot light is a
+ * point light restricted to a cone about that direction. Positional lights
+ * fade with distance d by 1 / (k<sub>c</sub> + k<sub>l</sub>·d + k<sub>q</sub>·d²).
+ *
+ * Shading is done in eye coordinates, so lights are taken there
+ * by the view matrix before being passed to the shaders.
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ */
+
+import { Matrix4, Vector4 } from "./math.js";
+
+/**
+ * Light types, in the order of their codes in the fragment shader.
+ * @type {Array<String>}
+ */
+export var lightTypes = ["point", "directional", "spot"];
+
+/**
+ * Maximum number of lights handled by the fragment shader.
+ * @type {Number}
+ */
+export var maxLights = 4;
+
+/**
+ * A configurable light source.
+ * @class
+ */
+export class Light {
+  /**
+   * Constructor.
+   * @constructs Light
+   * @param {Object} [description] light parameters.
+   * @param {String} [description.type="point"] one of {@link lightTypes}.
+   * @param {Array<Number>} [description.position=[0,0,0]] position in world coordinates.
+   * @param {Array<Number>} [description.target=[0,0,0]] point the light aims at.
+   * @param {Array<Number>} [description.color=[1,1,1]] RGB intensity.
+   * @param {Array<Number>} [description.attenuation=[1,0,0]] constant,
+   *    linear and quadratic attenuation coefficients.
+   * @param {Number} [description.cutoff=30] half angle of a spot cone, in degrees.
+   * @param {Number} [description.exponent=10] falloff from the cone axis.
+   * @param {Boolean} [description.enabled=true] whether the light is on.
+   * @throws {Error} if the type is unknown.
+   */
+  constructor({
+    type = "point",
+    position = [0, 0, 0],
+    target = [0, 0, 0],
+    color = [1, 1, 1],
+    attenuation = [1, 0, 0],
+    cutoff = 30,
+    exponent = 10,
+    enabled = true,
+  } = {}) {
+    if (!lightTypes.includes(type)) {
+      throw new Error(`invalid light type "${type}"`);
+    }
+    /** Light type. */
+    this.type = type;
+    /** Position in world coordinates. */
+    this.position = position.slice();
+    /** Point the light aims at. */
+    this.target = target.slice();
+    /** RGB intensity. */
+    this.color = color.slice();
+    /** Constant, linear and quadratic attenuation coefficients. */
+    this.attenuation = attenuation.slice();
+    /** Half angle of a spot cone, in degrees. */
+    this.cutoff = cutoff;
+    /** Falloff exponent from the cone axis. */
+    this.exponent = exponent;
+    /** Whether the light is on. */
+    this.enabled = enabled;
+  }
+
+  /**
+   * Returns the position of this light in eye coordinates.
+   * @param {Matrix4} view view matrix.
+   * @return {Array<Number>} eye position.
+   */
+  eyePosition(view) {
+    var p = view.multiplyVector4(new Vector4([...this.position, 1])).elements;
+    return [p[0], p[1], p[2]];
+  }
+
+  /**
+   * Returns the direction this light shines along, in eye coordinates.
+   * @param {Matrix4} view view matrix.
+   * @return {Array<Number>} normalized eye direction.
+   */
+  eyeDirection(view) {
+    var d = this.target.map((t, i) => t - this.position[i]);
+    var v = view.multiplyVector4(new Vector4([...d, 0])).elements;
+    var len = Math.hypot(v[0], v[1], v[2]) || 1;
+    return [v[0] / len, v[1] / len, v[2] / len];
+  }
+
+  /**
+   * <p>Returns the projection times the view of a camera at this light,
+   * looking at its target, as used to render a shadow map.</p>
+   * Directional lights use an orthographic box, spot lights a frustum that
+   * covers their cone, and point lights a wide frustum towards the target.
+   * @param {Number} [radius=15] radius of the region around the target
+   *    that must be inside the view.
+   * @return {Matrix4} light view-projection matrix.
+   */
+  viewProjection(radius = 15) {
+    var d = this.target.map((t, i) => t - this.position[i]);
+    var len = Math.hypot(...d) || 1;
+    d = d.map((x) => x / len);
+    var up = Math.abs(d[1]) > 0.99 ? [0, 0, 1] : [0, 1, 0];
+    var eye = this.position;
+    var m = new Matrix4();
+    if (this.type === "directional") {
+      eye = this.target.map((t, i) => t - 2 * radius * d[i]);
+      m.setOrtho(-radius, radius, -radius, radius, radius, 3 * radius);
+    } else {
+      var fov =
+        this.type === "spot" ? Math.min(2 * this.cutoff + 10, 170) : 100;
+      m.setPerspective(fov, 1, 1, len + 2 * radius);
+    }
+    return m.lookAt(...eye, ...this.target, ...up);
+  }
+}
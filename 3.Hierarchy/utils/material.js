@@ -0,0 +1,86 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>Surface material of a scene graph node.</p>
+ *
+ * A material has a diffuse RGBA color, which is also used for ambient light,
+ * a specular RGB color with its shininess exponent, and an emissive RGB color
+ * added regardless of the lights.
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ */
+
+/**
+ * Phong material parameters.
+ * @class
+ */
+export class Material {
+  /**
+   * Constructor. Colors are copied, so materials never share arrays.
+   * @constructs Material
+   * @param {Object} [description] material parameters.
+   * @param {Array<Number>} [description.diffuse=[0.5,0,0.6,1]] RGBA diffuse color.
+   * @param {Array<Number>} [description.specular=[0.3,0.3,0.3]] RGB specular color.
+   * @param {Number} [description.shininess=20] specular exponent.
+   * @param {Array<Number>} [description.emissive=[0,0,0]] RGB emitted color.
+   * @throws {Error} if a color or the shininess is malformed.
+   */
+  constructor({
+    diffuse = [0.5, 0, 0.6, 1],
+    specular = [0.3, 0.3, 0.3],
+    shininess = 20,
+    emissive = [0, 0, 0],
+  } = {}) {
+    var check = (name, v, n) => {
+      if (
+        !Array.isArray(v) ||
+        v.length !== n ||
+        !v.every((x) => typeof x === "number")
+      ) {
+        throw new Error(`invalid ${name} color`);
+      }
+      return v.slice();
+    };
+    if (typeof shininess !== "number" || shininess < 0) {
+      throw new Error("invalid shininess");
+    }
+    /** RGBA diffuse color. */
+    this.diffuse = check("diffuse", diffuse, 4);
+    /** RGB specular color. */
+    this.specular = check("specular", specular, 3);
+    /** Specular exponent. */
+    this.shininess = shininess;
+    /** RGB emitted color. */
+    this.emissive = check("emissive", emissive, 3);
+  }
+}
+
+/**
+ * Converts a color to the "#rrggbb" format of color inputs.
+ * @param {Array<Number>} color color with components in [0, 1].
+ * @return {String} hexadecimal color, without alpha.
+ */
+export function colorToHex(color) {
+  return (
+    "#" +
+    color
+      .slice(0, 3)
+      .map((c) =>
+        Math.round(Math.min(1, Math.max(0, c)) * 255)
+          .toString(16)
+          .padStart(2, "0")
+      )
+      .join("")
+  );
+}
+
+/**
+ * Converts a "#rrggbb" color to RGB components.
+ * @param {String} hex hexadecimal color.
+ * @return {Array<Number>} components in [0, 1].
+ */
+export function hexToColor(hex) {
+  return [1, 3, 5].map((i) => parseInt(hex.substr(i, 2), 16) / 255);
+}
@@ -0,0 +1,131 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>The vector and matrix layer shared by the Hierarchy modules.</p>
+ *
+ * Transformations are {@link Matrix4} objects from cuon-matrix, whose
+ * methods compose them like the OpenGL matrix stack. The bundled gl-matrix
+ * modules are re-exported for everything else: vectors, quaternions and
+ * 3x3 matrices.
+ *
+ * <p>Both libraries use the same conventions, so they interoperate without
+ * copies: a gl-matrix mat4 is a Float32Array of 16 elements in column-major
+ * order, just like <code>matrix.elements</code>, so gl-matrix functions can
+ * read and write the elements of a Matrix4 directly, and vectors are plain
+ * arrays of numbers. Element (row, col) of a matrix is at index
+ * 4 · col + row.</p>
+ *
+ * Euler angles follow {@link Joint}: degrees about x, y and z,
+ * applied in this order, that is, R = R<sub>x</sub> · R<sub>y</sub> · R<sub>z</sub>.
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ * @see https://glmatrix.net/docs/
+ */
+
+import { Matrix4, Vector3, Vector4 } from "./cuon-matrix.js";
+import * as mat3 from "./gl-matrix/dist/esm/mat3.js";
+import * as mat4 from "./gl-matrix/dist/esm/mat4.js";
+import * as quat from "./gl-matrix/dist/esm/quat.js";
+import * as vec3 from "./gl-matrix/dist/esm/vec3.js";
+import * as vec4 from "./gl-matrix/dist/esm/vec4.js";
+
+export { Matrix4, Vector3, Vector4, mat3, mat4, quat, vec3, vec4 };
+
+/**
+ * Transforms a point by a matrix.
+ * @param {Matrix4} m affine transformation.
+ * @param {Array<Number>} p point.
+ * @return {Array<Number>} transformed point.
+ */
+export function transformPoint(m, p) {
+  return Array.from(vec3.transformMat4(vec3.create(), p, m.elements));
+}
+
+/**
+ * Transforms a direction by a matrix, ignoring the translation.
+ * @param {Matrix4} m transformation.
+ * @param {Array<Number>} d direction.
+ * @return {Array<Number>} transformed direction, normalized.
+ */
+export function transformDirection(m, d) {
+  var v = vec3.transformMat3(
+    vec3.create(),
+    d,
+    mat3.fromMat4(mat3.create(), m.elements)
+  );
+  return Array.from(vec3.normalize(v, v));
+}
+
+/**
+ * Sets a quaternion from Euler angles.
+ * @param {quat} out receiving quaternion.
+ * @param {Number} x angle about x, in degrees.
+ * @param {Number} y angle about y, in degrees.
+ * @param {Number} z angle about z, in degrees.
+ * @return {quat} out.
+ */
+export function quatFromEuler(out, x, y, z) {
+  return quat.fromEuler(out, x, y, z, "xyz");
+}
+
+/**
+ * <p>Returns the Euler angles of a rotation.</p>
+ * Each rotation has two sets of angles, besides adding turns to them,
+ * so the one closest to a reference is returned, which keeps angles
+ * continuous when a rotation changes gradually.
+ * @param {quat} q unit quaternion.
+ * @param {Array<Number>} [reference=[0,0,0]] angles to be close to, in degrees.
+ * @return {Array<Number>} angles about x, y and z, in degrees.
+ */
+export function eulerFromQuat(q, reference = [0, 0, 0]) {
+  // column-major: r(row, col) = m[3 * col + row]
+  var m = mat3.fromQuat(mat3.create(), q);
+  var r = (row, col) => m[3 * col + row];
+  var deg = 180 / Math.PI;
+  var y = Math.asin(Math.max(-1, Math.min(1, r(0, 2))));
+  var x, z;
+  if (Math.abs(r(0, 2)) < 1 - 1e-6) {
+    x = Math.atan2(-r(1, 2), r(2, 2));
+    z = Math.atan2(-r(0, 1), r(0, 0));
+  } else {
+    // gimbal lock: only x + z (y = 90) or z - x (y = -90) is determined,
+    // so z keeps its reference value
+    var sum = Math.atan2(r(1, 0), r(1, 1));
+    z = reference[2] / deg;
+    x = r(0, 2) > 0 ? sum - z : z - sum;
+  }
+  var near = (angle, to) => angle + 360 * Math.round((to - angle) / 360);
+  var candidates = [
+    [x * deg, y * deg, z * deg],
+    [x * deg + 180, 180 - y * deg, z * deg + 180],
+  ].map((angles) => angles.map((a, i) => near(a, reference[i])));
+  var distance = (angles) =>
+    angles.reduce((d, a, i) => d + Math.abs(a - reference[i]), 0);
+  return distance(candidates[0]) <= distance(candidates[1])
+    ? candidates[0]
+    : candidates[1];
+}
+
+/**
+ * Returns the rotation matrix of a quaternion.
+ * @param {quat} q unit quaternion.
+ * @return {Matrix4} a new matrix.
+ */
+export function quatToMatrix4(q) {
+  var matrix = new Matrix4();
+  mat4.fromQuat(matrix.elements, q);
+  return matrix;
+}
+
+/**
+ * Returns the rotation of a matrix, ignoring its translation.
+ * @param {Matrix4} matrix rotation matrix, possibly with a translation.
+ * @return {quat} a new unit quaternion.
+ */
+export function matrix4ToQuat(matrix) {
+  var q = quat.create();
+  quat.fromMat3(q, mat3.fromMat4(mat3.create(), matrix.elements));
+  return quat.normalize(q, q);
+}
@@ -0,0 +1,229 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>Wavefront OBJ and MTL parsers.</p>
+ *
+ * An OBJ file becomes a single indexed mesh: every distinct combination of
+ * position, texture coordinate and normal indices of a face corner is one
+ * vertex, and polygons are split into triangle fans. Vertex normals are
+ * computed, weighted by the area of the faces, when the file has none.
+ *
+ * Like the {@link meshes} of the primitives, the mesh is centered and scaled
+ * uniformly to fit the box [-0.5, 0.5]³, so a node gives it its size.
+ * The diffuse colors of the MTL materials named by "usemtl" are stored
+ * as vertex colors, so a part made of several materials still shows them.
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ * @see https://paulbourke.net/dataformats/obj/
+ * @see https://paulbourke.net/dataformats/mtl/
+ */
+
+/**
+ * Parses an MTL file.
+ * @param {String} text contents of the file.
+ * @return {Object<String, {diffuse: Array<Number>, specular: Array<Number>, shininess: Number, emissive: Array<Number>}>}
+ *    material descriptions by name, in the format accepted by {@link Material}.
+ */
+export function parseMTL(text) {
+  var materials = {};
+  var current = null;
+  var numbers = (fields) => fields.slice(1, 4).map(Number);
+  text.split("\n").forEach((line) => {
+    var fields = line.trim().split(/\s+/);
+    switch (fields[0]) {
+      case "newmtl":
+        current = materials[fields.slice(1).join(" ")] = {
+          diffuse: [0.8, 0.8, 0.8, 1],
+          specular: [0, 0, 0],
+          shininess: 20,
+          emissive: [0, 0, 0],
+        };
+        break;
+      case "Kd":
+        if (current) current.diffuse = [...numbers(fields), current.diffuse[3]];
+        break;
+      case "Ks":
+        if (current) current.specular = numbers(fields);
+        break;
+      case "Ke":
+        if (current) current.emissive = numbers(fields);
+        break;
+      case "Ns":
+        if (current) current.shininess = Number(fields[1]);
+        break;
+      case "d":
+        if (current) current.diffuse[3] = Number(fields[1]);
+        break;
+      case "Tr":
+        if (current) current.diffuse[3] = 1 - Number(fields[1]);
+        break;
+    }
+  });
+  return materials;
+}
+
+/**
+ * Parses an OBJ file into an indexed mesh.
+ * @param {String} text contents of the file.
+ * @param {Object<String, Object>} [materials={}] materials from {@link parseMTL}.
+ * @return {Object<{numVertices: Number, numIndices: Number, vertices: Float32Array, normals: Float32Array, texCoords: Float32Array, colors: Float32Array, indices: Uint16Array|Uint32Array, materials: Array<String>, mtllib: Array<String>}>}
+ *    mesh, with the names of the materials it uses and the MTL files it refers to.
+ * @throws {Error} if the file has no faces or refers to a missing vertex.
+ */
+export function parseOBJ(text, materials = {}) {
+  var positions = [];
+  var uvs = [];
+  var normals = [];
+  var mesh = {
+    vertices: [],
+    normals: [],
+    texCoords: [],
+    colors: [],
+    indices: [],
+    materials: [],
+    mtllib: [],
+  };
+  // index of each vertex, by its "v/vt/vn" key
+  var vertexIndex = new Map();
+  // position index of each vertex, to smooth computed normals
+  var vertexPosition = [];
+  var color = [0.8, 0.8, 0.8, 1];
+  var hasNormals = true;
+
+  // OBJ indices start at 1, and negative ones count from the end
+  var lookup = (list, index, lineNumber) => {
+    var i = Number(index);
+    i = i < 0 ? list.length + i : i - 1;
+    if (!(i >= 0 && i < list.length)) {
+      throw new Error(`line ${lineNumber}: missing vertex data ${index}`);
+    }
+    return i;
+  };
+
+  var corner = (key, lineNumber) => {
+    if (vertexIndex.has(key)) return vertexIndex.get(key);
+    var [v, vt, vn] = key.split("/");
+    var p = lookup(positions, v, lineNumber);
+    mesh.vertices.push(...positions[p]);
+    mesh.texCoords.push(...(vt ? uvs[lookup(uvs, vt, lineNumber)] : [0, 0]));
+    if (vn) {
+      mesh.normals.push(...normals[lookup(normals, vn, lineNumber)]);
+    } else {
+      hasNormals = false;
+      mesh.normals.push(0, 0, 0);
+    }
+    mesh.colors.push(...color);
+    vertexPosition.push(p);
+    vertexIndex.set(key, vertexPosition.length - 1);
+    return vertexPosition.length - 1;
+  };
+
+  text.split("\n").forEach((line, i) => {
+    var fields = line.trim().split(/\s+/);
+    var numbers = fields.slice(1).map(Number);
+    switch (fields[0]) {
+      case "v":
+        positions.push(numbers.slice(0, 3));
+        break;
+      case "vt":
+        uvs.push([numbers[0], numbers[1] || 0]);
+        break;
+      case "vn":
+        normals.push(numbers.slice(0, 3));
+        break;
+      case "f":
+        var face = fields.slice(1).map((key) => corner(key, i + 1));
+        for (var j = 1; j + 1 < face.length; ++j) {
+          mesh.indices.push(face[0], face[j], face[j + 1]);
+        }
+        break;
+      case "usemtl":
+        var name = fields.slice(1).join(" ");
+        var material = materials[name];
+        color = material ? material.diffuse : [0.8, 0.8, 0.8, 1];
+        if (!mesh.materials.includes(name)) mesh.materials.push(name);
+        break;
+      case "mtllib":
+        mesh.mtllib.push(...fields.slice(1));
+        break;
+    }
+  });
+
+  if (mesh.indices.length === 0) {
+    throw new Error("no faces");
+  }
+  if (!hasNormals) computeNormals(mesh, vertexPosition);
+  fitUnitBox(mesh.vertices);
+
+  var numVertices = vertexPosition.length;
+  return {
+    numVertices,
+    numIndices: mesh.indices.length,
+    vertices: new Float32Array(mesh.vertices),
+    normals: new Float32Array(mesh.normals),
+    texCoords: new Float32Array(mesh.texCoords),
+    colors: new Float32Array(mesh.colors),
+    indices:
+      numVertices > 65536
+        ? new Uint32Array(mesh.indices)
+        : new Uint16Array(mesh.indices),
+    materials: mesh.materials,
+    mtllib: mesh.mtllib,
+  };
+}
+
+/**
+ * <p>Computes smooth vertex normals from the faces of a mesh.</p>
+ * Each face adds its unnormalized normal, whose length is twice its area,
+ * to the vertices that share its corners' positions, so vertices that only
+ * differ in their texture coordinates still get the same normal.
+ * @param {{vertices: Array<Number>, normals: Array<Number>, indices: Array<Number>}} mesh
+ *    mesh arrays; the normals are overwritten.
+ * @param {Array<Number>} vertexPosition position index of each vertex.
+ */
+function computeNormals(mesh, vertexPosition) {
+  var sums = new Map();
+  var v = (i, k) => mesh.vertices[3 * i + k];
+  for (var t = 0; t < mesh.indices.length; t += 3) {
+    var [a, b, c] = mesh.indices.slice(t, t + 3);
+    var e1 = [0, 1, 2].map((k) => v(b, k) - v(a, k));
+    var e2 = [0, 1, 2].map((k) => v(c, k) - v(a, k));
+    var n = [
+      e1[1] * e2[2] - e1[2] * e2[1],
+      e1[2] * e2[0] - e1[0] * e2[2],
+      e1[0] * e2[1] - e1[1] * e2[0],
+    ];
+    [a, b, c].forEach((i) => {
+      var p = vertexPosition[i];
+      var sum = sums.get(p);
+      if (!sum) sums.set(p, (sum = [0, 0, 0]));
+      for (var k = 0; k < 3; ++k) sum[k] += n[k];
+    });
+  }
+  vertexPosition.forEach((p, i) => {
+    var n = sums.get(p) || [0, 1, 0];
+    var len = Math.hypot(...n) || 1;
+    for (var k = 0; k < 3; ++k) mesh.normals[3 * i + k] = n[k] / len;
+  });
+}
+
+/**
+ * Centers the positions of a mesh at the origin and scales them uniformly,
+ * so the largest side of their bounding box is 1.
+ * @param {Array<Number>} vertices x, y, z of each vertex, changed in place.
+ */
+function fitUnitBox(vertices) {
+  var min = [Infinity, Infinity, Infinity];
+  var max = [-Infinity, -Infinity, -Infinity];
+  for (var i = 0; i < vertices.length; ++i) {
+    min[i % 3] = Math.min(min[i % 3], vertices[i]);
+    max[i % 3] = Math.max(max[i % 3], vertices[i]);
+  }
+  var size = Math.max(...max.map((m, k) => m - min[k])) || 1;
+  for (var i = 0; i < vertices.length; ++i) {
+    var k = i % 3;
+    vertices[i] = (vertices[i] - (min[k] + max[k]) / 2) / size;
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>Selection of scene graph nodes by ray casting.</p>
+ *
+ * Every node is drawn as a unit cube transformed by its world matrix and
+ * its shape matrix, so it can be picked by intersecting the ray with that
+ * oriented box: the ray is taken to the cube's own coordinates, where the
+ * box is [-0.5, 0.5]³, and clipped against the three pairs of planes.
+ * Affine maps preserve the ray parameter, so hits on different nodes
+ * can be compared directly.
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ * @see https://tavianator.com/2011/ray_box.html
+ */
+
+import { Matrix4, Vector4 } from "./math.js";
+
+/**
+ * Intersects a ray with the box [-0.5, 0.5]³.
+ * @param {Array<Number>} origin ray origin.
+ * @param {Array<Number>} direction ray direction.
+ * @return {Number} ray parameter of the nearest hit in front of the origin, or Infinity.
+ */
+function intersectUnitBox(origin, direction) {
+  var tmin = -Infinity;
+  var tmax = Infinity;
+  for (var i = 0; i < 3; ++i) {
+    if (direction[i] === 0) {
+      if (Math.abs(origin[i]) > 0.5) return Infinity;
+      continue;
+    }
+    var t1 = (-0.5 - origin[i]) / direction[i];
+    var t2 = (0.5 - origin[i]) / direction[i];
+    tmin = Math.max(tmin, Math.min(t1, t2));
+    tmax = Math.min(tmax, Math.max(t1, t2));
+  }
+  if (tmax < Math.max(tmin, 0)) return Infinity;
+  return tmin >= 0 ? tmin : tmax;
+}
+
+/**
+ * Returns the node of a subtree hit first by a ray.
+ * @param {SceneNode} root subtree root.
+ * @param {Array<Number>} origin ray origin, in root coordinates.
+ * @param {Array<Number>} direction ray direction, in root coordinates.
+ * @return {SceneNode | null} nearest node hit, or null.
+ */
+export function pickNode(root, origin, direction) {
+  var nearest = { node: null, t: Infinity };
+  (function visit(node, parentMatrix) {
+    var world = new Matrix4(parentMatrix).multiply(node.matrix);
+    var box = new Matrix4(world).multiply(node.localMatrix);
+    var inverse = new Matrix4().setInverseOf(box);
+    var o = inverse.multiplyVector4(new Vector4([...origin, 1])).elements;
+    var d = inverse.multiplyVector4(new Vector4([...direction, 0])).elements;
+    var t = intersectUnitBox(o, d);
+    if (t < nearest.t) nearest = { node, t };
+    node.children.forEach((child) => visit(child, world));
+  })(root, new Matrix4());
+  return nearest.node;
+}
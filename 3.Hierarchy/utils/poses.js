@@ -0,0 +1,189 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>Named poses kept in the browser, and pose mirroring.</p>
+ *
+ * A pose maps each joint name to the array of its angles, as in
+ * {@link Timeline}. A library stores its poses, with a thumbnail image each,
+ * in localStorage under its own key, so they survive reloading the page.
+ *
+ * Mirroring reflects the angles of one side of a model across the plane
+ * x = 0 onto the joints of the other side, which are found by name,
+ * such as leftArm and rightArm.
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ */
+
+/**
+ * Checks that an object is a pose.
+ * @param {*} pose value to be checked.
+ * @throws {Error} if it does not map names to arrays of numbers.
+ */
+function validatePose(pose) {
+  if (typeof pose !== "object" || pose === null || Array.isArray(pose)) {
+    throw new Error("a pose must be an object");
+  }
+  for (var name in pose) {
+    var angles = pose[name];
+    if (
+      !Array.isArray(angles) ||
+      !angles.every((a) => typeof a === "number" && isFinite(a))
+    ) {
+      throw new Error(`invalid angles for "${name}"`);
+    }
+  }
+}
+
+/**
+ * A list of named poses saved in localStorage.
+ * @class
+ */
+export class PoseLibrary {
+  /**
+   * Constructor. Reads the poses already stored under the key, if any.
+   * Without a storage, as in pages opened from files in some browsers,
+   * poses are only kept until the page is reloaded.
+   * @constructs PoseLibrary
+   * @param {String} key localStorage key.
+   * @param {Storage} [storage=localStorage] where the poses are kept.
+   */
+  constructor(key, storage) {
+    /** localStorage key. */
+    this.key = key;
+    /** Where the poses are kept, or null if there is no storage. */
+    this.storage = null;
+    /**
+     * Saved poses, in the order they were added.
+     * @type {Array<{name: String, pose: Object<String, Array<Number>>, thumbnail: String}>}
+     */
+    this.poses = [];
+    try {
+      // reading window.localStorage throws when it is not available
+      this.storage = storage || window.localStorage;
+      var poses = JSON.parse(this.storage.getItem(key)) || [];
+      poses.forEach(({ name, pose }) => validatePose(pose));
+      this.poses = poses;
+    } catch (e) {
+      console.log(`Ignoring the poses stored in ${key}: ${e.message}`);
+    }
+  }
+
+  /**
+   * Writes the poses to localStorage.
+   * @return {Boolean} whether they could be stored, which fails
+   *    when the storage is full or disabled.
+   */
+  store() {
+    if (!this.storage) return false;
+    try {
+      this.storage.setItem(this.key, JSON.stringify(this.poses));
+      return true;
+    } catch (e) {
+      console.log(`Failed to store the poses: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Returns the pose with the given name.
+   * @param {String} name pose name.
+   * @return {Object<String, Array<Number>> | null} pose, or null if not found.
+   */
+  get(name) {
+    var entry = this.poses.find((p) => p.name === name);
+    return entry ? entry.pose : null;
+  }
+
+  /**
+   * Saves a pose, replacing any pose with the same name.
+   * @param {String} name pose name.
+   * @param {Object<String, Array<Number>>} pose joint angles.
+   * @param {String} [thumbnail=""] image of the pose, as a data URL.
+   * @return {Boolean} whether the library could be stored.
+   * @throws {Error} if the pose is malformed.
+   */
+  add(name, pose, thumbnail = "") {
+    validatePose(pose);
+    var entry = { name, pose, thumbnail };
+    var i = this.poses.findIndex((p) => p.name === name);
+    if (i < 0) this.poses.push(entry);
+    else this.poses[i] = entry;
+    return this.store();
+  }
+
+  /**
+   * Removes the pose with the given name, if any.
+   * @param {String} name pose name.
+   * @return {Boolean} whether the library could be stored.
+   */
+  remove(name) {
+    this.poses = this.poses.filter((p) => p.name !== name);
+    return this.store();
+  }
+
+  /**
+   * Returns the poses without their thumbnails, to be written to a file.
+   * <p>Called by JSON.stringify.</p>
+   * @return {{poses: Array<{name: String, pose: Object<String, Array<Number>>}>}}
+   *    plain object accepted by {@link PoseLibrary.parse}.
+   */
+  toJSON() {
+    return { poses: this.poses.map(({ name, pose }) => ({ name, pose })) };
+  }
+
+  /**
+   * Reads the poses of a file written from {@link PoseLibrary#toJSON}.
+   * @param {Object} json contents of the file.
+   * @return {Array<{name: String, pose: Object<String, Array<Number>>}>} poses.
+   * @throws {Error} if the contents are malformed.
+   */
+  static parse(json) {
+    if (!json || !Array.isArray(json.poses)) {
+      throw new Error("no list of poses");
+    }
+    json.poses.forEach(({ name, pose }) => {
+      if (typeof name !== "string") throw new Error("pose without a name");
+      validatePose(pose);
+    });
+    return json.poses;
+  }
+}
+
+/**
+ * <p>Returns a pose where the joints of one side take the mirror image
+ * of the angles of the other side.</p>
+ * Reflecting across x = 0 keeps a rotation about x and negates the
+ * rotations about y and z, so a ball joint gets [x, -y, -z], and a hinge
+ * gets the opposite angle about its mirrored axis, with the sign changed
+ * if the hinge of the other side has the opposite axis.
+ * @param {SceneNode} root root of the model.
+ * @param {Object<String, Array<Number>>} pose pose to be mirrored.
+ * @param {String} [from="left"] name prefix of the joints copied.
+ * @param {String} [to="right"] name prefix of the joints changed.
+ * @return {Object<String, Array<Number>>} new pose.
+ */
+export function mirrorPose(root, pose, from = "left", to = "right") {
+  var mirrored = {};
+  for (var name in pose) {
+    mirrored[name] = pose[name].slice();
+  }
+  for (var name in pose) {
+    if (!name.startsWith(from)) continue;
+    var source = root.find(name);
+    var target = root.find(to + name.slice(from.length));
+    if (!source || !target || !source.joint || !target.joint) continue;
+    if (source.joint.type !== target.joint.type) continue;
+    var angles = pose[name];
+    if (source.joint.type === "ball") {
+      mirrored[target.name] = [angles[0], -angles[1], -angles[2]];
+    } else {
+      var [x, y, z] = source.joint.axis;
+      var [u, v, w] = target.joint.axis;
+      var sign = Math.sign(-x * u + y * v + z * w) || 1;
+      mirrored[target.name] = [-sign * angles[0]];
+    }
+  }
+  return mirrored;
+}
@@ -0,0 +1,271 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>Triangle meshes of geometric primitives.</p>
+ *
+ * Every primitive fits the box [-0.5, 0.5]³, like the unit cube, so a node
+ * gives it its size with its scale, and its box still bounds it for picking.
+ * Round shapes have y as their axis.
+ *
+ * Meshes are returned in the same format as {@link cube}: non-indexed
+ * triangles, drawn with gl.drawArrays, with one position, normal, texture
+ * coordinate and color per vertex. Colors are derived from the normals,
+ * to tell the sides apart when drawing with vertex colors.
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ * @see https://www.songho.ca/opengl/gl_sphere.html
+ */
+
+/**
+ * <p>Samples a parametric surface into triangles.</p>
+ * Triangles are wound counterclockwise as seen from the side the normals
+ * point to, so they can be culled, and triangles that collapse into a point
+ * or a segment, as at the poles of a sphere, are left out.
+ * @param {Number} slices number of divisions in u.
+ * @param {Number} stacks number of divisions in v.
+ * @param {function(Number, Number): {position: Array<Number>, normal: Array<Number>}} surface
+ *    point and normal of the surface at (u, v), both in [0, 1].
+ * @return {{vertices: Array<Number>, normals: Array<Number>, texCoords: Array<Number>}}
+ *    mesh arrays.
+ */
+function parametricMesh(slices, stacks, surface) {
+  var mesh = { vertices: [], normals: [], texCoords: [] };
+  var point = (u, v) => {
+    var { position, normal } = surface(u, v);
+    var len = Math.hypot(...normal) || 1;
+    return { position, normal: normal.map((n) => n / len), uv: [u, v] };
+  };
+  var add = (a, b, c) => {
+    var e1 = b.position.map((x, k) => x - a.position[k]);
+    var e2 = c.position.map((x, k) => x - a.position[k]);
+    var n = [
+      e1[1] * e2[2] - e1[2] * e2[1],
+      e1[2] * e2[0] - e1[0] * e2[2],
+      e1[0] * e2[1] - e1[1] * e2[0],
+    ];
+    if (Math.hypot(...n) < 1e-12) return;
+    var facing = [0, 1, 2].reduce(
+      (d, k) => d + n[k] * (a.normal[k] + b.normal[k] + c.normal[k]),
+      0
+    );
+    (facing < 0 ? [a, c, b] : [a, b, c]).forEach((p) => {
+      mesh.vertices.push(...p.position);
+      mesh.normals.push(...p.normal);
+      mesh.texCoords.push(...p.uv);
+    });
+  };
+  for (var i = 0; i < slices; ++i) {
+    for (var j = 0; j < stacks; ++j) {
+      var p00 = point(i / slices, j / stacks);
+      var p10 = point((i + 1) / slices, j / stacks);
+      var p11 = point((i + 1) / slices, (j + 1) / stacks);
+      var p01 = point(i / slices, (j + 1) / stacks);
+      add(p00, p10, p11);
+      add(p00, p11, p01);
+    }
+  }
+  return mesh;
+}
+
+/**
+ * Joins mesh parts into a single mesh with typed arrays.
+ * @param {...{vertices: Array<Number>, normals: Array<Number>, texCoords: Array<Number>}} parts
+ *    mesh arrays.
+ * @return {Object<{numVertices: Number, vertices: Float32Array, normals: Float32Array, texCoords: Float32Array, colors: Float32Array}>}
+ *    mesh.
+ */
+function joinMeshes(...parts) {
+  var join = (key) => parts.flatMap((part) => part[key]);
+  var normals = join("normals");
+  var colors = [];
+  for (var i = 0; i < normals.length; i += 3) {
+    colors.push(
+      0.5 + 0.5 * normals[i],
+      0.5 + 0.5 * normals[i + 1],
+      0.5 + 0.5 * normals[i + 2],
+      1
+    );
+  }
+  return {
+    numVertices: normals.length / 3,
+    vertices: new Float32Array(join("vertices")),
+    normals: new Float32Array(normals),
+    texCoords: new Float32Array(join("texCoords")),
+    colors: new Float32Array(colors),
+  };
+}
+
+/**
+ * Returns a point on a circle of the xz plane.
+ * @param {Number} u fraction of a turn.
+ * @return {Array<Number>} cosine and sine of the angle.
+ */
+function unitCircle(u) {
+  var a = 2 * Math.PI * u;
+  return [Math.cos(a), Math.sin(a)];
+}
+
+/**
+ * Returns a disk of radius 0.5, perpendicular to the y axis.
+ * @param {Number} y height of the disk.
+ * @param {Number} ny y component of its normal, 1 or -1.
+ * @param {Number} slices number of divisions around the axis.
+ * @return {Object} mesh arrays.
+ */
+function disk(y, ny, slices) {
+  return parametricMesh(slices, 1, (u, v) => {
+    var [c, s] = unitCircle(u);
+    return { position: [0.5 * v * c, y, 0.5 * v * s], normal: [0, ny, 0] };
+  });
+}
+
+/**
+ * Creates a sphere of diameter 1.
+ * @param {Number} [slices=32] divisions around the y axis.
+ * @param {Number} [stacks=16] divisions from pole to pole.
+ * @return {Object} mesh.
+ */
+export function makeSphere(slices = 32, stacks = 16) {
+  return joinMeshes(
+    parametricMesh(slices, stacks, (u, v) => {
+      var [c, s] = unitCircle(u);
+      var theta = Math.PI * v;
+      var n = [Math.sin(theta) * c, -Math.cos(theta), Math.sin(theta) * s];
+      return { position: n.map((x) => 0.5 * x), normal: n };
+    })
+  );
+}
+
+/**
+ * Creates a closed cylinder of diameter 1 and height 1.
+ * @param {Number} [slices=32] divisions around the y axis.
+ * @return {Object} mesh.
+ */
+export function makeCylinder(slices = 32) {
+  return joinMeshes(
+    parametricMesh(slices, 1, (u, v) => {
+      var [c, s] = unitCircle(u);
+      return { position: [0.5 * c, v - 0.5, 0.5 * s], normal: [c, 0, s] };
+    }),
+    disk(0.5, 1, slices),
+    disk(-0.5, -1, slices)
+  );
+}
+
+/**
+ * Creates a closed cone of base diameter 1 and height 1, with its apex up.
+ * @param {Number} [slices=32] divisions around the y axis.
+ * @return {Object} mesh.
+ */
+export function makeCone(slices = 32) {
+  return joinMeshes(
+    parametricMesh(slices, 1, (u, v) => {
+      var [c, s] = unitCircle(u);
+      var r = 0.5 * (1 - v);
+      // the side rises 1 while it goes in by 0.5
+      return { position: [r * c, v - 0.5, r * s], normal: [c, 0.5, s] };
+    }),
+    disk(-0.5, -1, slices)
+  );
+}
+
+/**
+ * <p>Creates a capsule: a cylinder with two half ellipsoid ends.</p>
+ * The ends are a quarter of the height each, so the capsule looks rounded
+ * once a node stretches it into a limb.
+ * @param {Number} [slices=32] divisions around the y axis.
+ * @param {Number} [stacks=8] divisions of each end.
+ * @return {Object} mesh.
+ */
+export function makeCapsule(slices = 32, stacks = 8) {
+  var end = (sign) =>
+    parametricMesh(slices, stacks, (u, v) => {
+      var [c, s] = unitCircle(u);
+      var theta = (Math.PI / 2) * v;
+      var r = 0.5 * Math.cos(theta);
+      var y = sign * (0.25 + 0.25 * Math.sin(theta));
+      // normal of the ellipsoid with semi-axes 0.5 and 0.25
+      return {
+        position: [r * c, y, r * s],
+        normal: [
+          Math.cos(theta) * c,
+          2 * sign * Math.sin(theta),
+          Math.cos(theta) * s,
+        ],
+      };
+    });
+  return joinMeshes(
+    parametricMesh(slices, 1, (u, v) => {
+      var [c, s] = unitCircle(u);
+      return {
+        position: [0.5 * c, 0.5 * v - 0.25, 0.5 * s],
+        normal: [c, 0, s],
+      };
+    }),
+    end(1),
+    end(-1)
+  );
+}
+
+/**
+ * Creates a torus around the y axis, with outer diameter 1.
+ * @param {Number} [thickness=0.3] diameter of the tube.
+ * @param {Number} [slices=32] divisions around the y axis.
+ * @param {Number} [stacks=16] divisions around the tube.
+ * @return {Object} mesh.
+ */
+export function makeTorus(thickness = 0.3, slices = 32, stacks = 16) {
+  var r = thickness / 2;
+  var R = 0.5 - r;
+  return joinMeshes(
+    parametricMesh(slices, stacks, (u, v) => {
+      var [c, s] = unitCircle(u);
+      var [ct, st] = unitCircle(v);
+      return {
+        position: [(R + r * ct) * c, r * st, (R + r * ct) * s],
+        normal: [ct * c, st, ct * s],
+      };
+    })
+  );
+}
+
+/**
+ * Creates a unit cube whose faces are divided into a grid,
+ * so that it bends smoothly when deformed, as by skinning.
+ * @param {Number} [divisions=8] divisions of each edge.
+ * @return {Object} mesh.
+ */
+export function makeBox(divisions = 8) {
+  // each face is spanned by two axes, chosen so that it faces outwards
+  var face = (axis, sign) => {
+    var a = (axis + (sign > 0 ? 1 : 2)) % 3;
+    var b = (axis + (sign > 0 ? 2 : 1)) % 3;
+    return parametricMesh(divisions, divisions, (u, v) => {
+      var position = [0, 0, 0];
+      var normal = [0, 0, 0];
+      position[axis] = 0.5 * sign;
+      position[a] = u - 0.5;
+      position[b] = v - 0.5;
+      normal[axis] = sign;
+      return { position, normal };
+    });
+  };
+  return joinMeshes(
+    ...[0, 1, 2].flatMap((axis) => [face(axis, 1), face(axis, -1)])
+  );
+}
+
+/**
+ * Creates a square of side 1 on the xz plane, facing up.
+ * @return {Object} mesh.
+ */
+export function makePlane() {
+  return joinMeshes(
+    parametricMesh(1, 1, (u, v) => ({
+      position: [u - 0.5, 0, 0.5 - v],
+      normal: [0, 1, 0],
+    }))
+  );
+}
@@ -3,10 +3,17 @@
  *
  * Summary.
  * <p>An object of type SimpleRotator can be used to implement a trackball-like mouse rotation
- * of a WebGL scene about the origin.</p>
+ * of a WebGL scene about a center point, which is initially the origin.</p>
  *
  * Only the first parameter of the constructor is required. <br>
- * When an object is created, mouse event handlers are set up on the canvas to respond to rotation.
+ * When an object is created, mouse and pointer event handlers are set up on the canvas:
+ * <ul>
+ *    <li>dragging with the left button, or with one finger, rotates the scene,
+ *        which keeps spinning for a while after a quick flick;</li>
+ *    <li>dragging with the right or middle button pans, moving the center;</li>
+ *    <li>the mouse wheel, or a trackpad scroll, zooms;</li>
+ *    <li>two fingers pinch to zoom and move together to pan.</li>
+ * </ul>
  *
  * <p>The class defines the following methods for an object of type SimpleRotator:</p>
  * <ul>
@@ -25,6 +32,17 @@
  *    <li>rotator.getViewMatrixArray() <br>
  *         returns the view transformation matrix as a regular JavaScript array,
  *         but still represents as a 1D array of 16 elements, in column-major order.</li>
+ *    <li>rotator.setCenter(center), rotator.getCenter() <br>
+ *         set and return the point the viewer looks at and rotates about;</li>
+ *    <li>rotator.setDistanceLimits(min, max) <br>
+ *         sets the range of view distances reachable by zooming;</li>
+ *    <li>rotator.setFieldOfView(fovy) <br>
+ *         sets the vertical field of view, in degrees, used to pan at the speed of the mouse,
+ *         or the one whose height at the view distance an orthographic projection shows;</li>
+ *    <li>rotator.setInertia(enabled) <br>
+ *         turns the spinning after a flick on or off;</li>
+ *    <li>rotator.setEnabled(enabled) <br>
+ *         turns the response to the mouse and to touches on or off.</li>
  * </ul>
  * @since 22/01/2016
  * @see <a href="/WebGL/lib/simple-rotator.js">source</a>
@@ -33,6 +51,8 @@
  * @see https://math.hws.edu/eck/cs424/notes2013/webgl/skybox-and-reflection/
  */
 
+import { vec3 } from "./math.js";
+
 /**
  * <p>Constructor of SimpleRotator.</p>
  * @constructs SimpleRotator
@@ -51,7 +71,7 @@
  *    Gives the distance of the viewer from the origin.  <br>
  *    If not present, the length of viewDirectionVector is used.
  */
-function SimpleRotator(
+export function SimpleRotator(
   canvas,
   callback,
   viewDirectionVector,
@@ -62,6 +82,12 @@ function SimpleRotator(
   var unity = new Array(3);
   var unitz = new Array(3);
   var viewZ;
+  var center = [0, 0, 0];
+  var minDistance = 1;
+  var maxDistance = 1000;
+  var fieldOfView = 45;
+  var inertia = true;
+  var enabled = true;
 
   /**
    * Set up the view, where the parameters are optional,
@@ -75,14 +101,12 @@ function SimpleRotator(
     var viewpoint = viewDirectionVector || [0, 0, 10];
     var viewup = viewUpVector || [0, 1, 0];
     if (viewDistance && typeof viewDistance == "number") viewZ = viewDistance;
-    else viewZ = length(viewpoint);
-    copy(unitz, viewpoint);
-    normalize(unitz, unitz);
-    copy(unity, unitz);
-    scale(unity, unity, dot(unitz, viewup));
-    subtract(unity, viewup, unity);
-    normalize(unity, unity);
-    cross(unitx, unity, unitz);
+    else viewZ = vec3.length(viewpoint);
+    vec3.normalize(unitz, viewpoint);
+    vec3.scale(unity, unitz, vec3.dot(unitz, viewup));
+    vec3.subtract(unity, viewup, unity);
+    vec3.normalize(unity, unity);
+    vec3.cross(unitx, unity, unitz);
   };
 
   /**
@@ -131,13 +155,67 @@ function SimpleRotator(
       unity[2],
       unitz[2],
       0,
-      0,
-      0,
-      -viewZ,
+      -vec3.dot(unitx, center),
+      -vec3.dot(unity, center),
+      -vec3.dot(unitz, center) - viewZ,
       1,
     ];
   };
 
+  /**
+   * Sets the point the viewer looks at and rotates about.
+   * @param {Array<Number>} point center of the view.
+   */
+  this.setCenter = function (point) {
+    vec3.copy(center, point);
+  };
+
+  /**
+   * Returns the point the viewer looks at and rotates about.
+   * @return {Array<Number>} center of the view.
+   */
+  this.getCenter = function () {
+    return center.slice();
+  };
+
+  /**
+   * Sets the range of view distances reachable by zooming.
+   * @param {Number} min minimum distance.
+   * @param {Number} max maximum distance.
+   */
+  this.setDistanceLimits = function (min, max) {
+    minDistance = min;
+    maxDistance = max;
+  };
+
+  /**
+   * Sets the vertical field of view of the projection,
+   * so that panning follows the mouse at the center of the view.
+   * @param {Number} fovy field of view in degrees.
+   */
+  this.setFieldOfView = function (fovy) {
+    fieldOfView = fovy;
+  };
+
+  /**
+   * Turns on or off the spinning that continues after a flick.
+   * @param {Boolean} enabled whether rotation has inertia.
+   */
+  this.setInertia = function (enabled) {
+    inertia = enabled;
+    if (!enabled) stopInertia();
+  };
+
+  /**
+   * Turns on or off the response to the mouse and to touches,
+   * so that another controller can use them.
+   * @param {Boolean} on whether the rotator handles input.
+   */
+  this.setEnabled = function (on) {
+    enabled = on;
+    if (!on) stopInertia();
+  };
+
   /**
    * Returns the viewDistance.
    * @return {Number} view distance.
@@ -159,17 +237,16 @@ function SimpleRotator(
   function applyTransvection(e1, e2) {
     // rotate vector e1 onto e2
     function reflectInAxis(axis, source, destination) {
-      var s =
-        2 * (axis[0] * source[0] + axis[1] * source[1] + axis[2] * source[2]);
+      var s = 2 * vec3.dot(axis, source);
       destination[0] = s * axis[0] - source[0];
       destination[1] = s * axis[1] - source[1];
       destination[2] = s * axis[2] - source[2];
     }
-    normalize(e1, e1);
-    normalize(e2, e2);
+    vec3.normalize(e1, e1);
+    vec3.normalize(e2, e2);
     var e = [0, 0, 0];
-    add(e, e1, e2);
-    normalize(e, e);
+    vec3.add(e, e1, e2);
+    vec3.normalize(e, e);
     var temp = [0, 0, 0];
     reflectInAxis(e, unitz, temp);
     reflectInAxis(e1, temp, unitz);
@@ -178,42 +255,143 @@ function SimpleRotator(
     reflectInAxis(e, unity, temp);
     reflectInAxis(e1, temp, unity);
   }
-  var centerX = canvas.width / 2;
-  var centerY = canvas.height / 2;
-  var radius = Math.min(centerX, centerY);
-  var radius2 = radius * radius;
+  var centerX, centerY, radius, radius2;
+  function updateSize() {
+    // CSS pixels, as the mouse coordinates, which may differ from the drawing buffer
+    centerX = (canvas.clientWidth || canvas.width) / 2;
+    centerY = (canvas.clientHeight || canvas.height) / 2;
+    radius = Math.min(centerX, centerY);
+    radius2 = radius * radius;
+  }
+  updateSize();
   var prevx, prevy;
   var prevRay = [0, 0, 0];
   var dragging = false;
+  var panning = false;
+  var velocity = [0, 0]; // pixels per millisecond
+  var lastMove = 0;
+  var inertiaFrame = null;
+  var touches = new Map();
+  function toCanvas(evt) {
+    var box = canvas.getBoundingClientRect();
+    return [
+      window.pageXOffset + evt.clientX - box.left,
+      window.pageYOffset + evt.clientY - box.top,
+    ];
+  }
+  function changed() {
+    if (callback) {
+      callback();
+    }
+  }
+  function rotate(x0, y0, x1, y1) {
+    applyTransvection(toRay(x0, y0), toRay(x1, y1));
+    var now = performance.now();
+    var dt = Math.max(now - lastMove, 1);
+    velocity = [(x1 - x0) / dt, (y1 - y0) / dt];
+    lastMove = now;
+  }
+  function pan(dx, dy) {
+    // world units per pixel at the center of the view
+    var s =
+      (2 * viewZ * Math.tan((fieldOfView * Math.PI) / 360)) / (2 * centerY);
+    for (var i = 0; i < 3; ++i) {
+      center[i] += s * (dy * unity[i] - dx * unitx[i]);
+    }
+  }
+  function zoom(factor) {
+    viewZ = Math.min(maxDistance, Math.max(minDistance, viewZ * factor));
+  }
+  function startInertia() {
+    // only a drag that was still moving when released is a flick
+    if (!inertia || performance.now() - lastMove > 50) return;
+    var last = performance.now();
+    function step(now) {
+      var dt = Math.max(now - last, 0);
+      last = now;
+      var decay = Math.exp(-dt / 300);
+      velocity = [velocity[0] * decay, velocity[1] * decay];
+      if (Math.hypot(velocity[0], velocity[1]) < 0.01) {
+        inertiaFrame = null;
+        return;
+      }
+      applyTransvection(
+        toRay(centerX, centerY),
+        toRay(centerX + velocity[0] * dt, centerY + velocity[1] * dt)
+      );
+      changed();
+      inertiaFrame = requestAnimationFrame(step);
+    }
+    inertiaFrame = requestAnimationFrame(step);
+  }
+  function stopInertia() {
+    if (inertiaFrame !== null) cancelAnimationFrame(inertiaFrame);
+    inertiaFrame = null;
+  }
   function doMouseDown(evt) {
-    if (dragging) return;
+    if (dragging || !enabled) return;
     dragging = true;
+    panning = evt.button !== 0;
+    if (panning) evt.preventDefault();
+    stopInertia();
+    updateSize();
     document.addEventListener("mousemove", doMouseDrag, false);
     document.addEventListener("mouseup", doMouseUp, false);
-    var box = canvas.getBoundingClientRect();
-    prevx = window.pageXOffset + evt.clientX - box.left;
-    prevy = window.pageYOffset + evt.clientY - box.top;
+    [prevx, prevy] = toCanvas(evt);
   }
   function doMouseDrag(evt) {
     if (!dragging) return;
-    var box = canvas.getBoundingClientRect();
-    var x = window.pageXOffset + evt.clientX - box.left;
-    var y = window.pageYOffset + evt.clientY - box.top;
-    var ray1 = toRay(prevx, prevy);
-    var ray2 = toRay(x, y);
-    applyTransvection(ray1, ray2);
+    var [x, y] = toCanvas(evt);
+    if (panning) pan(x - prevx, y - prevy);
+    else rotate(prevx, prevy, x, y);
     prevx = x;
     prevy = y;
-    if (callback) {
-      callback();
-    }
+    changed();
   }
   function doMouseUp(evt) {
     if (dragging) {
       document.removeEventListener("mousemove", doMouseDrag, false);
       document.removeEventListener("mouseup", doMouseUp, false);
       dragging = false;
+      if (!panning) startInertia();
+    }
+  }
+  function doWheel(evt) {
+    if (!enabled) return;
+    evt.preventDefault();
+    // lines, for mice with a notched wheel, or pixels, for trackpads
+    zoom(Math.exp(evt.deltaY * (evt.deltaMode === 1 ? 0.05 : 0.002)));
+    changed();
+  }
+  function doPointerDown(evt) {
+    // mice are handled by the mouse events
+    if (evt.pointerType === "mouse" || !enabled) return;
+    evt.preventDefault();
+    stopInertia();
+    updateSize();
+    canvas.setPointerCapture(evt.pointerId);
+    touches.set(evt.pointerId, toCanvas(evt));
+  }
+  function doPointerMove(evt) {
+    var prev = touches.get(evt.pointerId);
+    if (!prev) return;
+    var p = toCanvas(evt);
+    if (touches.size === 1) {
+      rotate(prev[0], prev[1], p[0], p[1]);
+    } else if (touches.size === 2) {
+      var other = [...touches].find(([id]) => id !== evt.pointerId)[1];
+      var before = Math.hypot(prev[0] - other[0], prev[1] - other[1]);
+      var after = Math.hypot(p[0] - other[0], p[1] - other[1]);
+      if (after > 0) zoom(before / after);
+      // the midpoint moves by half of the finger motion
+      pan((p[0] - prev[0]) / 2, (p[1] - prev[1]) / 2);
     }
+    touches.set(evt.pointerId, p);
+    changed();
+  }
+  function doPointerUp(evt) {
+    if (!touches.delete(evt.pointerId)) return;
+    if (touches.size === 0) startInertia();
   }
   function toRay(x, y) {
     var dx = x - centerX;
@@ -229,46 +407,14 @@ function SimpleRotator(
       return [vx + z * unitz[0], vy + z * unitz[1], vz + z * unitz[2]];
     }
   }
-  function dot(v, w) {
-    return v[0] * w[0] + v[1] * w[1] + v[2] * w[2];
-  }
-  function length(v) {
-    return Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
-  }
-  function normalize(v, w) {
-    var d = length(w);
-    v[0] = w[0] / d;
-    v[1] = w[1] / d;
-    v[2] = w[2] / d;
-  }
-  function copy(v, w) {
-    v[0] = w[0];
-    v[1] = w[1];
-    v[2] = w[2];
-  }
-  function add(sum, v, w) {
-    sum[0] = v[0] + w[0];
-    sum[1] = v[1] + w[1];
-    sum[2] = v[2] + w[2];
-  }
-  function subtract(dif, v, w) {
-    dif[0] = v[0] - w[0];
-    dif[1] = v[1] - w[1];
-    dif[2] = v[2] - w[2];
-  }
-  function scale(ans, v, num) {
-    ans[0] = v[0] * num;
-    ans[1] = v[1] * num;
-    ans[2] = v[2] * num;
-  }
-  function cross(c, v, w) {
-    var x = v[1] * w[2] - v[2] * w[1];
-    var y = v[2] * w[0] - v[0] * w[2];
-    var z = v[0] * w[1] - v[1] * w[0];
-    c[0] = x;
-    c[1] = y;
-    c[2] = z;
-  }
   this.setView(viewDirectionVector, viewUpVector, viewDistance);
   canvas.addEventListener("mousedown", doMouseDown, false);
+  canvas.addEventListener("contextmenu", (evt) => evt.preventDefault(), false);
+  canvas.addEventListener("wheel", doWheel, { passive: false });
+  canvas.addEventListener("pointerdown", doPointerDown, false);
+  canvas.addEventListener("pointermove", doPointerMove, false);
+  canvas.addEventListener("pointerup", doPointerUp, false);
+  canvas.addEventListener("pointercancel", doPointerUp, false);
+  // the browser must not scroll or zoom the page with touches on the canvas
+  canvas.style.touchAction = "none";
 }
@@ -0,0 +1,190 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>Linear blend skinning of a scene graph.</p>
+ *
+ * A skin is a single mesh made of the shapes of every node, placed in the
+ * bind pose, where every joint is at rest. Each node is a bone, and each
+ * vertex follows up to four bones, with weights adding up to one:
+ * <pre>
+ *   p' = Σ w<sub>i</sub> · M<sub>i</sub> · B<sub>i</sub><sup>-1</sup> · p
+ * </pre>
+ * where M<sub>i</sub> is the current matrix of bone i, in the coordinates of
+ * the root, and B<sub>i</sub> its matrix in the bind pose.
+ *
+ * A vertex belongs to the bone of its node, and also follows the parent and
+ * the children of that node according to its distance to their boxes:
+ * fully when touching them, and not at all beyond the blend distance.
+ * Vertices where two boxes meet get the same weights from both shapes,
+ * so the skin stays closed at the elbows and knees, where the rigid parts
+ * would show gaps. Boxes are divided into a grid, so they can bend.
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ * @see https://en.wikipedia.org/wiki/Skeletal_animation
+ */
+
+import { Matrix4, transformDirection, transformPoint } from "./math.js";
+import { makeBox } from "./primitives.js";
+
+/**
+ * Maximum number of bones, which must match MAX_BONES in the vertex shaders.
+ * @type {Number}
+ */
+export var maxBones = 32;
+
+/**
+ * A skinned mesh driven by the joints of a scene graph.
+ * @class
+ */
+export class Skin {
+  /**
+   * Constructor. Builds the mesh in the bind pose, without changing
+   * the current pose of the scene graph.
+   * @constructs Skin
+   * @param {SceneNode} root root of the skeleton.
+   * @param {Object<String, Object>} meshes meshes by shape name,
+   *    as in {@link meshes}.
+   * @param {Object} [options] skin parameters.
+   * @param {Number} [options.divisions=8] divisions of each edge of a box.
+   * @param {Number} [options.blend=1.5] distance to a neighboring box
+   *    below which a vertex follows its bone.
+   * @throws {Error} if there are more than {@link maxBones} nodes.
+   */
+  constructor(root, meshes, { divisions = 8, blend = 1.5 } = {}) {
+    /** Nodes of the skeleton, in depth-first order. */
+    this.bones = [];
+    (function add(node, bones) {
+      bones.push(node);
+      node.children.forEach((child) => add(child, bones));
+    })(root, this.bones);
+    if (this.bones.length > maxBones) {
+      throw new Error(`more than ${maxBones} bones`);
+    }
+    /** Root of the skeleton. */
+    this.root = root;
+
+    // matrices of the bind pose, with every joint at rest
+    var angles = this.bones.map((node) => node.joint && node.joint.angles);
+    this.bones.forEach((node) => {
+      if (node.joint) {
+        node.joint.setAngles(node.joint.angles.map(() => 0));
+        node.updateMatrix();
+      }
+    });
+    var bind = this.bones.map((node) => this.boneWorld(node));
+    this.bones.forEach((node, i) => {
+      if (node.joint) {
+        node.joint.setAngles(angles[i]);
+        node.updateMatrix();
+      }
+    });
+    /** Inverse of the matrix of each bone in the bind pose. */
+    this.inverseBind = bind.map((m) => new Matrix4(m).invert());
+
+    var box = makeBox(divisions);
+    var parts = {
+      vertices: [],
+      normals: [],
+      colors: [],
+      joints: [],
+      weights: [],
+    };
+    this.bones.forEach((node, b) => {
+      var mesh = node.shape === "cube" ? box : meshes[node.shape];
+      var order =
+        mesh.indices || Array.from({ length: mesh.numVertices }, (x, i) => i);
+      var neighbors = [node.parent, ...node.children]
+        .filter(Boolean)
+        .map((other) => this.bones.indexOf(other));
+      var place = new Matrix4(bind[b]).multiply(node.localMatrix);
+      var scale = node.scale;
+      for (var i of order) {
+        var local = [0, 1, 2].map((k) => mesh.vertices[3 * i + k]);
+        var p = transformPoint(place, local);
+        // normals are scaled by the inverse of the shape scale
+        var n = transformDirection(
+          bind[b],
+          [0, 1, 2].map((k) => mesh.normals[3 * i + k] / scale[k])
+        );
+        var len = Math.hypot(...n) || 1;
+        parts.vertices.push(...p);
+        parts.normals.push(...n.map((x) => x / len));
+        parts.colors.push(...node.material.diffuse);
+
+        var influences = [{ bone: b, weight: 1 }];
+        neighbors.forEach((j) => {
+          var d = this.boxDistance(j, p);
+          if (d < blend) {
+            var t = d / blend;
+            influences.push({ bone: j, weight: 1 - t * t * (3 - 2 * t) });
+          }
+        });
+        influences.sort((x, y) => y.weight - x.weight).splice(4);
+        var total = influences.reduce((s, x) => s + x.weight, 0);
+        for (var k = 0; k < 4; ++k) {
+          var influence = influences[k] || { bone: 0, weight: 0 };
+          parts.joints.push(influence.bone);
+          parts.weights.push(influence.weight / total);
+        }
+      }
+    });
+
+    /** Number of vertices. */
+    this.numVertices = parts.vertices.length / 3;
+    /** Positions in the bind pose, in root coordinates. */
+    this.vertices = new Float32Array(parts.vertices);
+    /** Normals in the bind pose. */
+    this.normals = new Float32Array(parts.normals);
+    /** Diffuse color of the material of each vertex. */
+    this.colors = new Float32Array(parts.colors);
+    /** Indices of the four bones of each vertex, as floats. */
+    this.joints = new Float32Array(parts.joints);
+    /** Weights of the four bones of each vertex. */
+    this.weights = new Float32Array(parts.weights);
+  }
+
+  /**
+   * Returns the current matrix of a bone, in the coordinates of the root,
+   * the product of the joint matrices from the root down to it.
+   * @param {SceneNode} node bone.
+   * @return {Matrix4} a new matrix.
+   */
+  boneWorld(node) {
+    var path = [];
+    for (var n = node; n !== this.root; n = n.parent) path.push(n);
+    var m = new Matrix4(this.root.matrix);
+    while (path.length > 0) m.multiply(path.pop().matrix);
+    return m;
+  }
+
+  /**
+   * Returns the distance from a point to the box of a bone in the bind pose.
+   * @param {Number} bone index of the bone.
+   * @param {Array<Number>} p point in the bind pose, in root coordinates.
+   * @return {Number} distance, zero inside the box.
+   */
+  boxDistance(bone, p) {
+    var q = transformPoint(this.inverseBind[bone], p);
+    var scale = this.bones[bone].scale;
+    return Math.hypot(
+      ...q.map((x, k) => Math.max(0, Math.abs(x) - Math.abs(scale[k]) / 2))
+    );
+  }
+
+  /**
+   * Returns the skinning matrix of every bone for the current pose:
+   * its current matrix times the inverse of its bind matrix.
+   * @return {Float32Array} one 4x4 matrix per bone, column-major,
+   *    to be passed to a mat4 uniform array.
+   */
+  boneMatrices() {
+    var elements = new Float32Array(16 * this.bones.length);
+    this.bones.forEach((node, i) => {
+      var m = this.boneWorld(node).multiply(this.inverseBind[i]);
+      elements.set(m.elements, 16 * i);
+    });
+    return elements;
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * @file
+ *
+ * Summary.
+ * <p>Keyframe animation of the joint angles of an articulated model.</p>
+ *
+ * A pose maps each joint name to the array of its angles.
+ * A timeline holds poses recorded at given times, and produces
+ * the pose at any time by interpolating between the two keyframes around it.
+ * It also keeps the playback state: current time, playing and looping.
+ *
+ * @author Gabriele Jandres Cavalcanti
+ * @since 17/10/2022
+ */
+
+import { eulerFromQuat, quat, quatFromEuler } from "./math.js";
+
+/**
+ * Easing functions, mapping the fraction of the elapsed time
+ * between two keyframes to the fraction of the motion.
+ * @type {Object<String, function(Number): Number>}
+ */
+export var easings = {
+  linear: (t) => t,
+  ease: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+};
+
+/**
+ * <p>Interpolates two poses.</p>
+ * Joints missing from one of the poses take their angles from the other.
+ * Hinge angles are interpolated linearly, while the three angles of a
+ * ball joint are converted to quaternions and interpolated by slerp,
+ * which turns about a single axis at a constant rate, instead of
+ * wobbling through the intermediate Euler angles.
+ * @param {Object<String, Array<Number>>} a pose at t = 0.
+ * @param {Object<String, Array<Number>>} b pose at t = 1.
+ * @param {Number} t interpolation parameter in [0, 1].
+ * @return {Object<String, Array<Number>>} interpolated pose.
+ */
+export function interpolatePoses(a, b, t) {
+  var pose = {};
+  for (var name in a) {
+    var from = a[name];
+    var to = b[name] || from;
+    var angles = from.map((angle, i) => angle + (to[i] - angle) * t);
+    var moves = from.some((angle, i) => angle !== to[i]);
+    if (from.length === 3 && moves && t > 0 && t < 1) {
+      var q = quat.slerp(
+        quat.create(),
+        quatFromEuler(quat.create(), ...from),
+        quatFromEuler(quat.create(), ...to),
+        t
+      );
+      // closest to the linear interpolation, which stays within the limits
+      angles = eulerFromQuat(q, angles);
+    }
+    pose[name] = angles;
+  }
+  for (var name in b) {
+    if (!(name in pose)) pose[name] = b[name].slice();
+  }
+  return pose;
+}
+
+/**
+ * A sequence of keyframes and its playback state.
+ * @class
+ */
+export class Timeline {
+  /**
+   * Constructor.
+   * @constructs Timeline
+   * @param {Number} [duration=4] length of the timeline in seconds.
+   */
+  constructor(duration = 4) {
+    /**
+     * Keyframes sorted by time. The easing of a keyframe
+     * is used in the interval that begins at it.
+     * @type {Array<{time: Number, pose: Object<String, Array<Number>>, easing: String}>}
+     */
+    this.keyframes = [];
+    /** Length of the timeline in seconds. */
+    this.duration = duration;
+    /** Current time in seconds. */
+    this.time = 0;
+    /** Whether the timeline is playing. */
+    this.playing = false;
+    /** Whether playback restarts when reaching the end. */
+    this.loop = true;
+  }
+
+  /**
+   * Records a pose at the given time, replacing any keyframe already there.
+   * @param {Number} time time in seconds.
+   * @param {Object<String, Array<Number>>} pose joint angles.
+   * @param {String} [easing="linear"] name of a function in {@link easings}.
+   */
+  addKeyframe(time, pose, easing = "linear") {
+    this.removeKeyframe(time);
+    this.keyframes.push({ time, pose, easing });
+    this.keyframes.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Removes the keyframe at the given time, if any.
+   * @param {Number} time time in seconds.
+   * @param {Number} [tolerance=1e-3] maximum distance to the keyframe time.
+   * @return {Boolean} whether a keyframe was removed.
+   */
+  removeKeyframe(time, tolerance = 1e-3) {
+    var i = this.keyframes.findIndex(
+      (k) => Math.abs(k.time - time) <= tolerance
+    );
+    if (i < 0) return false;
+    this.keyframes.splice(i, 1);
+    return true;
+  }
+
+  /**
+   * Changes the length of the timeline, removing the keyframes past its new end,
+   * which could no longer be reached, and moving the current time into it.
+   * @param {Number} duration length of the timeline in seconds.
+   */
+  setDuration(duration) {
+    this.keyframes = this.keyframes.filter((k) => k.time <= duration);
+    this.duration = duration;
+    this.time = Math.min(this.time, duration);
+  }
+
+  /**
+   * Returns the interpolated pose at the given time.
+   * Before the first and after the last keyframe, the pose is held.
+   * @param {Number} time time in seconds.
+   * @return {Object<String, Array<Number>> | null} pose, or null if there are no keyframes.
+   */
+  sample(time) {
+    var keys = this.keyframes;
+    if (keys.length === 0) return null;
+    if (time <= keys[0].time) return interpolatePoses(keys[0].pose, {}, 0);
+    for (var i = 1; i < keys.length; ++i) {
+      if (time < keys[i].time) {
+        var a = keys[i - 1];
+        var b = keys[i];
+        var t = (time - a.time) / (b.time - a.time);
+        var ease = easings[a.easing] || easings.linear;
+        return interpolatePoses(a.pose, b.pose, ease(t));
+      }
+    }
+    return interpolatePoses(keys[keys.length - 1].pose, {}, 0);
+  }
+
+  /**
+   * Moves the current time, if playing.
+   * At the end, playback either restarts or stops, according to {@link Timeline#loop}.
+   * @param {Number} dt elapsed time in seconds.
+   */
+  advance(dt) {
+    if (!this.playing) return;
+    this.time += dt;
+    if (this.time >= this.duration) {
+      if (this.loop && this.duration > 0) {
+        this.time %= this.duration;
+      } else {
+        this.time = this.duration;
+        this.playing = false;
+      }
+    }
+  }
+}